@@ -0,0 +1,18 @@
+/**
+ * addressify.js
+ *
+ * Converts jig owners to the addresses they are indexed under
+ */
+
+const bsv = require('bsv')
+
+// ------------------------------------------------------------------------------------------------
+// addressify
+// ------------------------------------------------------------------------------------------------
+
+// Owners may be addresses or pubkeys. Pubkeys are indexed under their address.
+const addressify = owner => owner.length >= 64 ? new bsv.PublicKey(owner).toAddress().toString() : owner
+
+// ------------------------------------------------------------------------------------------------
+
+module.exports = addressify
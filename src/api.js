@@ -20,15 +20,22 @@ class Api {
 
   // Gets the next relevant block of transactions to add
   // currHash may be null
-  // If there is a next block, return: { height, hash, txids, txhexs? }
+  // If there is a next block, return: { height, hash, prevHash?, time?, txids, txhexs? }
   // If there is no next block yet, return null
   // If the current block passed was reorged, return { reorg: true }
   async getNextBlock (currHeight, currHash) { throw new Error('Not implemented') }
 
+  // Optionally returns the height of the latest block on the network, so that the crawler can
+  // report how far behind it is
+  async getTipHeight () { return null }
+
   // Begins listening for mempool transactions
   // The callback should be called with txid and optionally rawtx when mempool tx is found
   // The crawler will call this after the block syncing is up-to-date.
   async listenForMempool (mempoolTxCallback) { }
+
+  // Optionally returns whether the mempool listener is currently connected
+  isMempoolConnected () { return true }
 }
 
 // ------------------------------------------------------------------------------------------------
@@ -0,0 +1,210 @@
+/**
+ * bitcoin-node.js
+ *
+ * Bitcoin node API using JSON-RPC for blocks and transactions and ZMQ for the mempool
+ *
+ * The node must have txindex enabled to fetch transactions that are not in the mempool, and
+ * -zmqpubrawtx set to listen for mempool transactions.
+ */
+
+const axios = require('axios')
+const bsv = require('bsv')
+const { RUN_0_6_FILTER_BUFFER, isRunTransaction, getRunTransactions } = require('./raw-block')
+
+// ------------------------------------------------------------------------------------------------
+// Globals
+// ------------------------------------------------------------------------------------------------
+
+// Chain names reported by getblockchaininfo for each RUN network
+const CHAINS = { main: 'main', test: 'test' }
+
+// RPC error codes
+const RPC_INVALID_PARAMETER = -8 // Block height out of range
+
+const MONITOR_INTERVAL = 100 // ms between checks for ZMQ connects and disconnects
+
+// Start of a JSON-RPC response whose result is a hex string
+const RESULT_HEX_REGEX = /"result"\s*:\s*"/
+
+const rpcError = (method, error) => {
+  const e = new Error(`Bitcoin node ${method} failed: ${error.message}`)
+  e.code = error.code
+  return e
+}
+
+// ------------------------------------------------------------------------------------------------
+// BitcoinNode
+// ------------------------------------------------------------------------------------------------
+
+class BitcoinNode {
+  constructor (rpcUrl, zmqUrl, logger) {
+    this.rpcUrl = rpcUrl
+    this.zmqUrl = zmqUrl
+    this.logger = logger
+
+    this.rpcId = 0
+    this.mempoolSocket = null
+    this.mempoolConnected = false
+  }
+
+  async connect (height, network) {
+    if (!CHAINS[network]) throw new Error(`Network not supported with a Bitcoin node: ${network}`)
+    const info = await this._rpc('getblockchaininfo')
+    if (info.chain !== CHAINS[network]) throw new Error(`Bitcoin node is on ${info.chain}, not ${network}`)
+  }
+
+  async disconnect () {
+    if (this.mempoolSocket) {
+      this.mempoolSocket.unmonitor()
+      this.mempoolSocket.close()
+      this.mempoolSocket = null
+      this.mempoolConnected = false
+    }
+  }
+
+  async fetch (txid) {
+    const tx = await this._rpc('getrawtransaction', [txid, 1])
+
+    let height = -1
+    let time = null
+    if (tx.blockhash) {
+      const header = await this._rpc('getblockheader', [tx.blockhash])
+      height = header.height
+      time = header.time
+    }
+
+    if (typeof tx.hex === 'undefined') throw new Error(`Bitcoin node did not return hex for ${txid}`)
+
+    return { hex: tx.hex, height, time }
+  }
+
+  async getNextBlock (currHeight, currHash) {
+    const height = currHeight + 1
+    let hash = null
+
+    try {
+      hash = await this._rpc('getblockhash', [height])
+    } catch (e) {
+      if (e.code === RPC_INVALID_PARAMETER) return null
+      throw e
+    }
+
+    const header = await this._rpc('getblockheader', [hash])
+
+    // The block at our height changed, so the current block was reorged
+    if (currHash && header.previousblockhash !== currHash) return { reorg: true }
+
+    // Blocks may be GBs, so they are read raw rather than as JSON with every transaction
+    const { txids, txhexs } = getRunTransactions(await this._rpcBuffer('getblock', [hash, 0]))
+    return { height, hash, prevHash: header.previousblockhash, time: header.time, txids, txhexs }
+  }
+
+  async getTipHeight () {
+    return await this._rpc('getblockcount')
+  }
+
+  isMempoolConnected () {
+    return this.mempoolConnected
+  }
+
+  async listenForMempool (mempoolTxCallback) {
+    this.logger.info('Listening for mempool via ZMQ')
+
+    // ZMQ is a native module, so it is only loaded when a node is used for the mempool
+    const zmq = require('zeromq')
+    this.mempoolSocket = zmq.socket('sub')
+
+    // ZMQ reconnects by itself, so we only track whether it is connected
+    this.mempoolSocket.on('connect', () => { this.mempoolConnected = true })
+    this.mempoolSocket.on('disconnect', () => { this.mempoolConnected = false })
+    this.mempoolSocket.monitor(MONITOR_INTERVAL, 0)
+
+    this.mempoolSocket.on('message', (topic, message) => {
+      // Most transactions are not RUN, so check for the prefix before parsing
+      if (!message.includes(RUN_0_6_FILTER_BUFFER)) return
+
+      try {
+        const tx = new bsv.Transaction(message)
+        if (isRunTransaction(tx)) mempoolTxCallback(tx.hash, message.toString('hex'))
+      } catch (e) {
+        this.logger.error(`Failed to parse mempool transaction: ${e}`)
+      }
+    })
+
+    this.mempoolSocket.connect(this.zmqUrl)
+    this.mempoolSocket.subscribe('rawtx')
+  }
+
+  async _rpc (method, params = []) {
+    const request = { jsonrpc: '1.0', id: ++this.rpcId, method, params }
+
+    let response = null
+    try {
+      response = await axios.post(this.rpcUrl, request)
+    } catch (e) {
+      // Nodes return RPC errors with HTTP error statuses
+      if (!e.response || !e.response.data || !e.response.data.error) throw e
+      response = e.response
+    }
+
+    const { result, error } = response.data
+    if (error) throw rpcError(method, error)
+
+    return result
+  }
+
+  // Calls a method whose result is hex, and returns it as a buffer. The hex is decoded as the
+  // response arrives because raw blocks may be too large for one string.
+  async _rpcBuffer (method, params = []) {
+    const request = { jsonrpc: '1.0', id: ++this.rpcId, method, params }
+
+    let response = null
+    try {
+      response = await axios.post(this.rpcUrl, request, { responseType: 'stream' })
+    } catch (e) {
+      if (!e.response) throw e
+      response = e.response
+    }
+
+    const chunks = []
+    let head = '' // Response before the hex, which is the whole response for errors
+    let inHex = false
+    let done = false
+    let digit = '' // Half of a byte split across chunks
+
+    for await (const data of response.data) {
+      if (done) continue
+      let text = data.toString('latin1')
+
+      if (!inHex) {
+        head += text
+        const match = RESULT_HEX_REGEX.exec(head)
+        if (!match) continue
+        inHex = true
+        text = head.slice(match.index + match[0].length)
+      }
+
+      const end = text.indexOf('"')
+      if (end !== -1) {
+        text = text.slice(0, end)
+        done = true
+      }
+
+      text = digit + text
+      digit = text.length % 2 ? text.slice(-1) : ''
+      chunks.push(Buffer.from(text.slice(0, text.length - digit.length), 'hex'))
+    }
+
+    if (!inHex) {
+      const { error } = JSON.parse(head)
+      if (error) throw rpcError(method, error)
+      throw new Error(`Bitcoin node ${method} did not return hex`)
+    }
+
+    return Buffer.concat(chunks)
+  }
+}
+
+// ------------------------------------------------------------------------------------------------
+
+module.exports = BitcoinNode
@@ -0,0 +1,209 @@
+/**
+ * block-files.js
+ *
+ * API that reads blocks from disk, either bitcoind blk*.dat files or files of block hex
+ *
+ * Heights come from the coinbase of each block after BIP34, or are counted from the genesis block,
+ * so the files may be any range of blocks in any order. When there are forks, the blocks on the
+ * chain to the highest block are used.
+ * There is no network access, so transactions not in the files cannot be fetched.
+ */
+
+const fs = require('fs')
+const path = require('path')
+const bsv = require('bsv')
+const { getRunTransactions } = require('./raw-block')
+
+// ------------------------------------------------------------------------------------------------
+// Globals
+// ------------------------------------------------------------------------------------------------
+
+// Bytes that start each block in blk*.dat files
+const MAGIC = { main: 'f9beb4d9', test: '0b110907' }
+
+// Heights after which the coinbase starts with the block height
+const BIP34_HEIGHT = { main: 227931, test: 21111 }
+
+const GENESIS_PREV_HASH = '00'.repeat(32)
+
+const BLK_FILE_REGEX = /^blk\d+\.dat$/
+const HEX_FILE_REGEX = /\.hex$/
+
+// Enough of a block to read its header and the height in its coinbase
+const BLOCK_PREFIX_SIZE = 1024
+
+// ------------------------------------------------------------------------------------------------
+// BlockFiles
+// ------------------------------------------------------------------------------------------------
+
+class BlockFiles {
+  constructor (dir, logger) {
+    this.dir = dir
+    this.logger = logger
+
+    this.chain = new Map() // height -> { hash, prevHash, time, file, offset, size }
+    this.tipHeight = null
+  }
+
+  async connect (height, network) {
+    if (!MAGIC[network]) throw new Error(`Network not supported with block files: ${network}`)
+
+    this.logger.info('Reading blocks from', this.dir)
+
+    const files = fs.readdirSync(this.dir).sort()
+    const blocks = []
+
+    for (const file of files.filter(file => BLK_FILE_REGEX.test(file))) {
+      blocks.push(...this._scanBlkFile(path.join(this.dir, file), MAGIC[network]))
+    }
+
+    for (const file of files.filter(file => HEX_FILE_REGEX.test(file))) {
+      blocks.push(this._scanHexFile(path.join(this.dir, file)))
+    }
+
+    this._buildChain(blocks, BIP34_HEIGHT[network])
+
+    this.logger.info('Found', this.chain.size, 'blocks up to height', this.tipHeight)
+  }
+
+  async getNextBlock (currHeight, currHash) {
+    const height = currHeight + 1
+    const block = this.chain.get(height)
+    if (!block) return null
+
+    if (currHash && block.prevHash !== currHash) return { reorg: true }
+
+    const { txids, txhexs } = getRunTransactions(this._readBlock(block))
+    return { height, hash: block.hash, prevHash: block.prevHash, time: block.time, txids, txhexs }
+  }
+
+  async getTipHeight () {
+    return this.tipHeight
+  }
+
+  // Each block in a blk*.dat file is its network's magic bytes, its size, and then the block
+  _scanBlkFile (file, magic) {
+    const blocks = []
+    const fd = fs.openSync(file, 'r')
+
+    try {
+      const prefix = Buffer.alloc(8)
+      let offset = 0
+
+      while (fs.readSync(fd, prefix, 0, 8, offset) === 8) {
+        // bitcoind preallocates files with zeros
+        if (prefix.readUInt32LE(0) === 0) break
+
+        if (prefix.slice(0, 4).toString('hex') !== magic) {
+          throw new Error(`Unexpected bytes in ${file} at ${offset}: ${prefix.slice(0, 4).toString('hex')}`)
+        }
+
+        const size = prefix.readUInt32LE(4)
+        const data = Buffer.alloc(Math.min(size, BLOCK_PREFIX_SIZE))
+        fs.readSync(fd, data, 0, data.length, offset + 8)
+        blocks.push({ ...this._parseBlockPrefix(data), file, offset: offset + 8, size })
+
+        offset += 8 + size
+      }
+    } finally {
+      fs.closeSync(fd)
+    }
+
+    return blocks
+  }
+
+  _scanHexFile (file) {
+    const fd = fs.openSync(file, 'r')
+    try {
+      const data = Buffer.alloc(BLOCK_PREFIX_SIZE * 2)
+      const length = fs.readSync(fd, data, 0, data.length, 0)
+      const hex = data.slice(0, length).toString('utf8').trim()
+      return { ...this._parseBlockPrefix(Buffer.from(hex, 'hex')), file, offset: null, size: null }
+    } finally {
+      fs.closeSync(fd)
+    }
+  }
+
+  _parseBlockPrefix (data) {
+    const header = data.slice(0, 80)
+    const hash = Buffer.from(bsv.crypto.Hash.sha256sha256(header)).reverse().toString('hex')
+    const prevHash = Buffer.from(header.slice(4, 36)).reverse().toString('hex')
+    const time = header.readUInt32LE(68)
+
+    // The coinbase script starts with the height
+    const br = new bsv.encoding.BufferReader(data.slice(80))
+    br.readVarintNum() // Transaction count
+    br.read(4) // Version
+    br.readVarintNum() // Input count
+    br.read(36) // Outpoint
+    br.readVarintNum() // Script length
+    const opcode = br.readUInt8()
+    let height = null
+    if (opcode >= 1 && opcode <= 4) height = br.read(opcode).readUIntLE(0, opcode)
+    if (opcode >= bsv.Opcode.OP_1 && opcode <= bsv.Opcode.OP_16) height = opcode - bsv.Opcode.OP_1 + 1
+
+    return { hash, prevHash, height, time }
+  }
+
+  // Keeps the blocks on the chain that leads to the highest block whose height is known. Heights
+  // are known by counting from the genesis block, or from coinbases after BIP34 that agree with
+  // their previous block. Earlier coinbases may start with any data, so they are not trusted.
+  // Heights below the tip are counted back from it.
+  _buildChain (blocks, bip34Height) {
+    this.chain.clear()
+    this.tipHeight = null
+
+    const byHash = new Map(blocks.map(block => [block.hash, block]))
+    const heights = new Map() // hash -> height
+
+    const children = new Map() // prevHash -> blocks
+    blocks.forEach(block => children.set(block.prevHash, (children.get(block.prevHash) || []).concat(block)))
+    const stack = (children.get(GENESIS_PREV_HASH) || []).map(block => [block, 0])
+    while (stack.length) {
+      const [block, height] = stack.pop()
+      heights.set(block.hash, height)
+      ;(children.get(block.hash) || []).forEach(child => stack.push([child, height + 1]))
+    }
+
+    // Lower heights first so that each block's previous block is checked before it
+    const claimed = blocks
+      .filter(block => !heights.has(block.hash) && block.height !== null && block.height >= bip34Height)
+      .sort((a, b) => a.height - b.height)
+    for (const block of claimed) {
+      const prev = byHash.get(block.prevHash)
+      const agrees = !prev || block.height - 1 < bip34Height || heights.get(prev.hash) === block.height - 1
+      if (agrees) heights.set(block.hash, block.height)
+    }
+
+    let tip = null
+    for (const [hash, height] of heights) {
+      if (!tip || height > heights.get(tip.hash)) tip = byHash.get(hash)
+    }
+    if (!tip) return
+
+    this.tipHeight = heights.get(tip.hash)
+
+    for (let block = tip, height = this.tipHeight; block; block = byHash.get(block.prevHash), height--) {
+      this.chain.set(height, block)
+    }
+  }
+
+  _readBlock (block) {
+    if (block.offset === null) {
+      return Buffer.from(fs.readFileSync(block.file, 'utf8').trim(), 'hex')
+    }
+
+    const fd = fs.openSync(block.file, 'r')
+    try {
+      const buffer = Buffer.alloc(block.size)
+      fs.readSync(fd, buffer, 0, block.size, block.offset)
+      return buffer
+    } finally {
+      fs.closeSync(fd)
+    }
+  }
+}
+
+// ------------------------------------------------------------------------------------------------
+
+module.exports = BlockFiles
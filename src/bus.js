@@ -31,7 +31,10 @@ function listen (port, handlers) {
   port.on('message', async msg => {
     if (msg.response) {
       if (msg.err) {
-        messageCallbacks[msg.id].reject(msg.err)
+        // Rebuild the error so that its class name survives the thread boundary
+        const err = new Error(msg.err)
+        if (msg.errName) err.name = msg.errName
+        messageCallbacks[msg.id].reject(err)
       } else {
         messageCallbacks[msg.id].resolve(msg.ret)
       }
@@ -49,7 +52,7 @@ function listen (port, handlers) {
 
       port.postMessage({ response: true, id: msg.id, ret })
     } catch (e) {
-      port.postMessage({ response: true, id: msg.id, err: e.message || e.toString() })
+      port.postMessage({ response: true, id: msg.id, err: e.message || e.toString(), errName: e.name })
     }
   })
 
@@ -14,6 +14,11 @@ const API = process.env.API || 'mattercloud'
 const MATTERCLOUD_KEY = process.env.MATTERCLOUD_KEY
 const PLANARIA_TOKEN = process.env.PLANARIA_TOKEN
 const NETWORK = process.env.NETWORK || 'main'
+const NODE_RPC_URL = process.env.NODE_RPC_URL || (NETWORK === 'test' ? 'http://localhost:18332' : 'http://localhost:8332')
+const NODE_ZMQ_URL = process.env.NODE_ZMQ_URL || 'tcp://localhost:28332'
+const BLOCKS_DIR = process.env.BLOCKS_DIR || 'blocks'
+const FETCHERS = (process.env.FETCHERS || '').split(',').filter(x => x)
+const TX_DIR = process.env.TX_DIR || 'txs'
 const DB = process.env.DB || 'run.db'
 const PORT = process.env.PORT || 0
 const WORKERS = process.env.WORKERS || 4
@@ -22,6 +27,22 @@ const START_HEIGHT = process.env.START_HEIGHT || (NETWORK === 'test' ? 1382000 :
 const TIMEOUT = process.env.TIMEOUT || 10000
 const MEMPOOL_EXPIRATION = process.env.MEMPOOL_EXPIRATION || 60 * 60 * 24
 
+// API keys are comma-separated key:role pairs, where role is read, write, or admin. Errors
+// identify entries by position so that keys are not logged.
+const API_KEYS = (process.env.API_KEYS || '').split(',').filter(x => x).reduce((keys, pair, index) => {
+  const i = pair.lastIndexOf(':')
+  if (i <= 0) throw new Error(`API_KEYS entry ${index + 1} must be key:role`)
+  keys[pair.slice(0, i)] = pair.slice(i + 1)
+  return keys
+}, {})
+const PUBLIC_ROLE = process.env.PUBLIC_ROLE
+const READONLY = process.env.READONLY === 'true'
+
+// Thresholds beyond which GET /health/ready reports the server as not ready
+const READY_MAX_BLOCKS_BEHIND = parseInt(process.env.READY_MAX_BLOCKS_BEHIND || 2)
+const READY_MAX_EXECUTION_BACKLOG = parseInt(process.env.READY_MAX_EXECUTION_BACKLOG || 1000)
+const READY_REQUIRE_MEMPOOL = process.env.READY_REQUIRE_MEMPOOL !== 'false'
+
 require('axios').default.defaults.timeout = TIMEOUT
 
 // ------------------------------------------------------------------------------------------------
@@ -99,6 +120,11 @@ module.exports = {
   API,
   MATTERCLOUD_KEY,
   PLANARIA_TOKEN,
+  NODE_RPC_URL,
+  NODE_ZMQ_URL,
+  BLOCKS_DIR,
+  FETCHERS,
+  TX_DIR,
   NETWORK,
   DB,
   PORT,
@@ -106,5 +132,11 @@ module.exports = {
   FETCH_LIMIT,
   START_HEIGHT,
   MEMPOOL_EXPIRATION,
+  API_KEYS,
+  PUBLIC_ROLE,
+  READONLY,
+  READY_MAX_BLOCKS_BEHIND,
+  READY_MAX_EXECUTION_BACKLOG,
+  READY_REQUIRE_MEMPOOL,
   DEFAULT_TRUSTLIST
 }
@@ -9,10 +9,12 @@
 // ------------------------------------------------------------------------------------------------
 
 class Crawler {
-  constructor (api) {
+  constructor (api, database) {
     this.api = api
+    this.database = database
     this.height = null
     this.hash = null
+    this.tipHeight = null
     this.pollForNewBlocksInterval = 10000
     this.pollForNewBlocksTimerId = null
     this.expireMempoolTransactionsInterval = 60000
@@ -59,6 +61,7 @@ class Crawler {
     if (!this.started) return
 
     try {
+      if (this.api.getTipHeight) this.tipHeight = await this.api.getTipHeight()
       await this._pollForNextBlock()
     } catch (e) {
       if (this.onCrawlError) this.onCrawlError(e)
@@ -87,7 +90,9 @@ class Crawler {
 
     // Case: reorg
     if (block && block.reorg) {
-      this._rewindAfterReorg()
+      const forkHeight = await this._findForkHeight(currHeight)
+      if (!this.started || this.height !== currHeight) return
+      this._rewindAfterReorg(forkHeight)
       setTimeout(() => this._pollForNextBlock(), 0)
       return
     }
@@ -100,8 +105,10 @@ class Crawler {
 
     // Case: received a block
     if (block) {
+      // APIs that skip blocks without RUN transactions may not know the previous hash
+      const prevHash = block.prevHash || (block.height === currHeight + 1 ? currHash : null)
       if (this.onCrawlBlockTransactions) {
-        this.onCrawlBlockTransactions(block.height, block.hash, block.time, block.txids, block.txhexs)
+        this.onCrawlBlockTransactions(block.height, block.hash, prevHash, block.time, block.txids, block.txhexs)
       }
       this.height = block.height
       this.hash = block.hash
@@ -109,11 +116,31 @@ class Crawler {
     }
   }
 
-  _rewindAfterReorg () {
-    const newHeight = this.height - this.rewindCount
-    if (this.onRewindBlocks) this.onRewindBlocks(newHeight)
-    this.height = newHeight
-    this.hash = null
+  // Whether the crawler reached the chain tip and is still receiving mempool transactions
+  isMempoolConnected () {
+    if (!this.listeningForMempool) return false
+    return !this.api.isMempoolConnected || this.api.isMempoolConnected()
+  }
+
+  // Walks back through the crawled blocks until the API builds on one. That block is the fork
+  // point. Each step is a request to the API, so only blocks within rewindCount are checked. If
+  // none of them are the fork point, rewinds rewindCount blocks as before.
+  async _findForkHeight (height) {
+    const lowestHeight = height - this.rewindCount
+    let block = this.database.getBlockBefore(height)
+    while (block && block.height >= lowestHeight) {
+      const next = await this.api.getNextBlock(block.height, block.hash)
+      if (!next || !next.reorg) return block.height
+      block = this.database.getBlockBefore(block.height)
+    }
+    return lowestHeight
+  }
+
+  _rewindAfterReorg (forkHeight) {
+    const orphaned = this.database.getBlockHashesAboveHeight(forkHeight)
+    if (this.onRewindBlocks) this.onRewindBlocks(forkHeight, orphaned)
+    this.height = forkHeight
+    this.hash = this.database.getBlockHash(forkHeight)
   }
 
   async _listenForMempool () {
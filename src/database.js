@@ -7,6 +7,7 @@
 const Sqlite3Database = require('better-sqlite3')
 const { DEFAULT_TRUSTLIST } = require('./config')
 const Run = require('run-sdk')
+const addressify = require('./addressify')
 
 // ------------------------------------------------------------------------------------------------
 // Globals
@@ -15,6 +16,57 @@ const Run = require('run-sdk')
 const HEIGHT_MEMPOOL = -1
 const HEIGHT_UNKNOWN = null
 
+// Values at or above this are times, not heights, as for nLockTime
+const LOCKTIME_THRESHOLD = 500000000
+
+// Schema version created by the initializeVN upgrades
+const VERSION = 11
+
+// Columns of the jig table that unspent queries may filter by
+const UNSPENT_FILTERS = ['class', 'lock', 'scripthash']
+const UNSPENT_ORDERS = ['location', 'height']
+const TOKEN_HOLDER_ORDERS = ['desc', 'asc']
+
+// Token amounts are integers that are exact as JS numbers. Sums are exact 64-bit integers, and
+// those too large to be exact as JS numbers are returned as strings.
+const MAX_SAFE_AMOUNT = BigInt(Number.MAX_SAFE_INTEGER)
+const isAmount = x => Number.isSafeInteger(x)
+const toAmount = x => x === null ? 0 : x >= -MAX_SAFE_AMOUNT && x <= MAX_SAFE_AMOUNT ? Number(x) : x.toString()
+const AUDIT_FILTERS = ['txid', 'action', 'actor']
+
+// Exports read this many rows per query so that indexing may continue between batches
+const EXPORT_BATCH_SIZE = 1000
+
+// Queries for each export. Rows are sorted by key so that each batch starts after the last.
+const EXPORTS = {
+  jigs: {
+    columns: `jig.location AS location, jig.state AS state, jig.class AS class, jig.origin AS origin,
+      jig.lock AS lock, jig.scripthash AS scripthash, jig.owner AS owner, jig.amount AS amount,
+      tx.height AS height, spends.spend_txid AS spendTxid`,
+    from: `jig JOIN tx ON tx.txid = SUBSTR(jig.location, 1, 64)
+      LEFT JOIN spends ON spends.location = jig.location`,
+    key: 'jig.location'
+  },
+  tx: {
+    columns: `tx.txid AS txid, tx.height AS height, tx.time AS time, tx.bytes IS NOT NULL AS downloaded,
+      tx.has_code AS hasCode, tx.executable AS executable, tx.executed AS executed, tx.indexed AS indexed`,
+    from: 'tx',
+    key: 'tx.txid'
+  },
+  spends: {
+    columns: 'spends.location AS location, spends.spend_txid AS spendTxid, jig.class AS class, tx.height AS height',
+    from: `spends JOIN tx ON tx.txid = SUBSTR(spends.location, 1, 64)
+      LEFT JOIN jig ON jig.location = spends.location`,
+    key: 'spends.location'
+  }
+}
+
+// Height used to sort unspent outputs. Mempool and unknown heights sort last.
+const UNSPENT_SORT_HEIGHT = `IFNULL(NULLIF(tx.height, ${HEIGHT_MEMPOOL}), ${Number.MAX_SAFE_INTEGER})`
+
+// Origins and locations in jig states are relative when they are in the same transaction
+const resolveLocation = (location, stateLocation) => location.startsWith('_') ? stateLocation.slice(0, 64) + location : location
+
 // ------------------------------------------------------------------------------------------------
 // UnexecutedTx
 // ------------------------------------------------------------------------------------------------
@@ -35,9 +87,10 @@ class UnexecutedTx {
 // ------------------------------------------------------------------------------------------------
 
 class Database {
-  constructor (path, logger) {
+  constructor (path, logger, readonly = false) {
     this.path = path
     this.logger = logger
+    this.readonly = readonly
     this.db = null
     this.trustlist = new Set()
     this.banlist = new Set()
@@ -52,33 +105,55 @@ class Database {
     this.onBanTransaction = null
     this.onUnbanTransaction = null
     this.onUntrustTransaction = null
+    this.onReexecuteTransaction = null
+    this.onStoreJig = null
+    this.onSpendJig = null
   }
 
   open () {
     if (this.db) throw new Error('Database already open')
 
-    this.db = new Sqlite3Database(this.path)
+    // Read-only connections read a database that another process indexes. It must exist.
+    this.db = new Sqlite3Database(this.path, { readonly: this.readonly, fileMustExist: this.readonly })
 
     this.db.pragma('cache_size = 128000')
-    this.db.pragma('page_size = 32768')
-    this.db.pragma('journal_mode = WAL')
-    this.db.pragma('synchronous = NORMAL')
-
-    // Initialise and perform upgrades
-    this.initializeV1()
-    this.initializeV2()
-
-    const setupCrawlStmt = this.db.prepare('INSERT OR IGNORE INTO crawl (role, height, hash) VALUES (\'tip\', 0, NULL)')
-    const trustIfMissingStmt = this.db.prepare('INSERT OR IGNORE INTO trust (txid, value) VALUES (?, 1)')
 
-    this.transaction(() => {
-      setupCrawlStmt.run()
-      for (const txid of DEFAULT_TRUSTLIST) {
-        trustIfMissingStmt.run(txid)
+    if (this.readonly) {
+      const version = this.db.pragma('user_version')[0].user_version
+      if (version !== VERSION) {
+        this.close()
+        throw new Error(`Database is v${version} but must be v${VERSION}. Run the indexer to upgrade it.`)
       }
-    })
+    } else {
+      this.db.pragma('page_size = 32768')
+      this.db.pragma('journal_mode = WAL')
+      this.db.pragma('synchronous = NORMAL')
+
+      // Initialise and perform upgrades
+      this.initializeV1()
+      this.initializeV2()
+      this.initializeV3()
+      this.initializeV4()
+      this.initializeV5()
+      this.initializeV6()
+      this.initializeV7()
+      this.initializeV8()
+      this.initializeV9()
+      this.initializeV10()
+      this.initializeV11()
+
+      const setupCrawlStmt = this.db.prepare('INSERT OR IGNORE INTO crawl (role, height, hash) VALUES (\'tip\', 0, NULL)')
+      const trustIfMissingStmt = this.db.prepare('INSERT OR IGNORE INTO trust (txid, value) VALUES (?, 1)')
+
+      this.transaction(() => {
+        setupCrawlStmt.run()
+        for (const txid of DEFAULT_TRUSTLIST) {
+          trustIfMissingStmt.run(txid)
+        }
+      })
+    }
 
-    this.addNewTransactionStmt = this.db.prepare('INSERT OR IGNORE INTO tx (txid, height, time, bytes, has_code, executable, executed, indexed) VALUES (?, ?, null, null, 0, 0, 0, 0)')
+    this.addNewTransactionStmt = this.db.prepare('INSERT OR IGNORE INTO tx (txid, height, time, bytes, has_code, executable, executed, indexed) VALUES (?, null, ?, null, 0, 0, 0, 0)')
     this.setTransactionBytesStmt = this.db.prepare('UPDATE tx SET bytes = ? WHERE txid = ?')
     this.setTransactionExecutableStmt = this.db.prepare('UPDATE tx SET executable = ? WHERE txid = ?')
     this.setTransactionTimeStmt = this.db.prepare('UPDATE tx SET time = ? WHERE txid = ?')
@@ -93,13 +168,24 @@ class Database {
     this.getTransactionHasCodeStmt = this.db.prepare('SELECT has_code FROM tx WHERE txid = ?')
     this.getTransactionIndexedStmt = this.db.prepare('SELECT indexed FROM tx WHERE txid = ?')
     this.getTransactionDownloadedStmt = this.db.prepare('SELECT bytes IS NOT NULL AS downloaded FROM tx WHERE txid = ?')
+    this.getTransactionStatusStmt = this.db.prepare('SELECT height, time, bytes IS NOT NULL AS downloaded, has_code, executable, executed, indexed FROM tx WHERE txid = ?')
     this.deleteTransactionStmt = this.db.prepare('DELETE FROM tx WHERE txid = ?')
     this.unconfirmTransactionStmt = this.db.prepare(`UPDATE tx SET height = ${HEIGHT_MEMPOOL} WHERE txid = ?`)
     this.getTransactionsAboveHeightStmt = this.db.prepare('SELECT txid FROM tx WHERE height > ?')
+    this.getTransactionsInHeightRangeStmt = this.db.prepare('SELECT txid FROM tx WHERE height >= ? AND height <= ? ORDER BY height')
     this.getMempoolTransactionsBeforeTimeStmt = this.db.prepare(`SELECT txid FROM tx WHERE height = ${HEIGHT_MEMPOOL} AND time < ?`)
     this.getTransactionsToDownloadStmt = this.db.prepare('SELECT txid FROM tx WHERE bytes IS NULL')
     this.getTransactionsDownloadedCountStmt = this.db.prepare('SELECT COUNT(*) AS count FROM tx WHERE bytes IS NOT NULL')
     this.getTransactionsIndexedCountStmt = this.db.prepare('SELECT COUNT(*) AS count FROM tx WHERE indexed = 1')
+    this.getUnexecutedTransactionStmt = this.db.prepare(`
+      SELECT txid, bytes IS NOT NULL AS downloaded, has_code
+      FROM tx WHERE txid = ? AND ((executable = 1 AND executed = 0) OR bytes IS NULL)
+    `)
+    this.getAllUntrustedStmt = this.db.prepare(`
+      SELECT txid FROM tx
+      WHERE executable = 1 AND executed = 0 AND has_code = 1
+      AND txid NOT IN (SELECT txid FROM trust WHERE value = 1)
+    `)
     this.getUnexecutedStmt = this.db.prepare(`
       SELECT txid, bytes IS NOT NULL AS downloaded, has_code
       FROM tx WHERE (executable = 1 AND executed = 0) OR bytes IS NULL
@@ -108,12 +194,14 @@ class Database {
     this.setSpendStmt = this.db.prepare('INSERT OR REPLACE INTO spends (location, spend_txid) VALUES (?, ?)')
     this.setUnspentStmt = this.db.prepare('INSERT OR IGNORE INTO spends (location, spend_txid) VALUES (?, null)')
     this.getSpendStmt = this.db.prepare('SELECT spend_txid FROM spends WHERE location = ?')
+    this.getSpentLocationsStmt = this.db.prepare('SELECT location FROM spends WHERE spend_txid = ?')
     this.unspendOutputsStmt = this.db.prepare('UPDATE spends SET spend_txid = null WHERE spend_txid = ?')
     this.deleteSpendsStmt = this.db.prepare('DELETE FROM spends WHERE location LIKE ? || \'%\'')
 
     this.addDepStmt = this.db.prepare('INSERT OR IGNORE INTO deps (up, down) VALUES (?, ?)')
     this.deleteDepsStmt = this.db.prepare('DELETE FROM deps WHERE down = ?')
     this.getDownstreamStmt = this.db.prepare('SELECT down FROM deps WHERE up = ?')
+    this.getUpstreamStmt = this.db.prepare('SELECT up FROM deps WHERE down = ?')
     this.getUpstreamUnexecutedStmt = this.db.prepare(`
       SELECT txdeps.txid as txid
       FROM (SELECT up AS txid FROM deps WHERE down = ?) as txdeps
@@ -126,31 +214,57 @@ class Database {
       WHERE tx.executable = 1 AND tx.executed = 0
     `)
 
-    this.setJigStateStmt = this.db.prepare('INSERT OR IGNORE INTO jig (location, state, class, lock, scripthash) VALUES (?, ?, null, null, null)')
+    this.setJigStateStmt = this.db.prepare('INSERT OR IGNORE INTO jig (location, state, class, lock, scripthash, origin, amount) VALUES (?, ?, null, null, null, ?, ?)')
     this.setJigClassStmt = this.db.prepare('UPDATE jig SET class = ? WHERE location = ?')
     this.setJigLockStmt = this.db.prepare('UPDATE jig SET lock = ? WHERE location = ?')
     this.setJigScripthashStmt = this.db.prepare('UPDATE jig SET scripthash = ? WHERE location = ?')
+    this.setJigOwnerStmt = this.db.prepare('UPDATE jig SET owner = ? WHERE location = ?')
     this.getJigStateStmt = this.db.prepare('SELECT state FROM jig WHERE location = ?')
+    this.getJigFiltersStmt = this.db.prepare('SELECT class, lock, scripthash FROM jig WHERE location = ?')
+    this.getJigOriginStmt = this.db.prepare('SELECT origin FROM jig WHERE location = ?')
+    this.getJigOwnerStmt = this.db.prepare('SELECT json_extract(state, \'$.props.owner\') FROM jig WHERE location = ?')
+    this.getClassTransactionsStmt = this.db.prepare(`
+      SELECT DISTINCT SUBSTR(location, 1, 64) AS txid FROM jig WHERE class = ? OR origin = ?
+      UNION SELECT txid FROM failed_class WHERE class = ?
+    `)
+    this.getTransactionJigByOriginStmt = this.db.prepare('SELECT location FROM jig WHERE origin = ? AND location > ? || \'_\' AND location < ? || \'_~\'')
     this.deleteJigStatesStmt = this.db.prepare('DELETE FROM jig WHERE location LIKE ? || \'%\'')
+    this.countTransactionJigsStmt = this.db.prepare('SELECT COUNT(*) AS count FROM jig WHERE location > ? || \'_\' AND location < ? || \'_~\'')
 
-    const getAllUnspentSql = `
-      SELECT spends.location AS location FROM spends
-      JOIN jig ON spends.location = jig.location
-      WHERE spends.spend_txid IS NULL`
-    this.getAllUnspentStmt = this.db.prepare(getAllUnspentSql)
-    this.getAllUnspentByClassStmt = this.db.prepare(`${getAllUnspentSql} AND jig.class = ?`)
-    this.getAllUnspentByLockStmt = this.db.prepare(`${getAllUnspentSql} AND jig.lock = ?`)
-    this.getAllUnspentByScripthashStmt = this.db.prepare(`${getAllUnspentSql} AND jig.scripthash = ?`)
-    this.getAllUnspentByClassLockStmt = this.db.prepare(`${getAllUnspentSql} AND jig.class = ? AND lock = ?`)
-    this.getAllUnspentByClassScripthashStmt = this.db.prepare(`${getAllUnspentSql} AND jig.class = ? AND scripthash = ?`)
-    this.getAllUnspentByLockScripthashStmt = this.db.prepare(`${getAllUnspentSql} AND jig.lock = ? AND scripthash = ?`)
-    this.getAllUnspentByClassLockScripthashStmt = this.db.prepare(`${getAllUnspentSql} AND jig.class = ? AND jig.lock = ? AND scripthash = ?`)
+    this.queryStmts = new Map() // sql -> statement, prepared on first use
+    this.countTransactionOutputsStmt = this.db.prepare('SELECT COUNT(*) AS count FROM spends WHERE location > ? || \'_\' AND location < ? || \'_~\'')
     this.getNumUnspentStmt = this.db.prepare('SELECT COUNT(*) as unspent FROM spends JOIN jig ON spends.location = jig.location WHERE spends.spend_txid IS NULL')
+    this.getTokenSupplyStmt = this.db.prepare(`
+      SELECT SUM(jig.amount) AS supply, COUNT(*) AS outputs FROM spends JOIN jig ON spends.location = jig.location
+      WHERE spends.spend_txid IS NULL AND jig.class = ? AND jig.amount IS NOT NULL
+    `).safeIntegers(true)
+    this.getTokenBalanceStmt = this.db.prepare(`
+      SELECT SUM(jig.amount) AS balance, COUNT(*) AS outputs FROM spends JOIN jig ON spends.location = jig.location
+      WHERE spends.spend_txid IS NULL AND jig.class = ? AND jig.scripthash = ? AND jig.amount IS NOT NULL
+    `).safeIntegers(true)
 
     this.setBerryStateStmt = this.db.prepare('INSERT OR IGNORE INTO berry (location, state) VALUES (?, ?)')
     this.getBerryStateStmt = this.db.prepare('SELECT state FROM berry WHERE location = ?')
     this.deleteBerryStatesStmt = this.db.prepare('DELETE FROM berry WHERE location LIKE ? || \'%\'')
 
+    this.setFailedStmt = this.db.prepare('INSERT OR REPLACE INTO failed (txid, error, error_class, time, run_version) VALUES (?, ?, ?, ?, ?)')
+    this.addFailedClassStmt = this.db.prepare('INSERT OR IGNORE INTO failed_class (txid, class, deployer) VALUES (?, ?, ?)')
+    this.getFailedStmt = this.db.prepare('SELECT txid, error, error_class, time, run_version FROM failed WHERE txid = ?')
+    this.getFailedClassesStmt = this.db.prepare('SELECT class, deployer FROM failed_class WHERE txid = ?')
+    this.deleteFailedStmt = this.db.prepare('DELETE FROM failed WHERE txid = ?')
+    this.deleteFailedClassesStmt = this.db.prepare('DELETE FROM failed_class WHERE txid = ?')
+
+    this.addWebhookStmt = this.db.prepare('INSERT INTO webhook (url, secret, class, lock, scripthash, events, time) VALUES (?, ?, ?, ?, ?, ?, ?)')
+    this.getWebhooksStmt = this.db.prepare('SELECT id, url, secret, class, lock, scripthash, events, time FROM webhook ORDER BY id')
+    this.deleteWebhookStmt = this.db.prepare('DELETE FROM webhook WHERE id = ?')
+    this.addDeadLetterStmt = this.db.prepare('INSERT INTO webhook_dead (webhook, payload, attempts, error, time) VALUES (?, ?, ?, ?, ?)')
+    this.getDeadLettersStmt = this.db.prepare('SELECT id, webhook, payload, attempts, error, time FROM webhook_dead ORDER BY id')
+    this.getDeadLetterStmt = this.db.prepare('SELECT id, webhook, payload, attempts, error, time FROM webhook_dead WHERE id = ?')
+    this.deleteDeadLetterStmt = this.db.prepare('DELETE FROM webhook_dead WHERE id = ?')
+    this.deleteDeadLettersStmt = this.db.prepare('DELETE FROM webhook_dead WHERE webhook = ?')
+
+    this.addAuditStmt = this.db.prepare('INSERT INTO audit (time, action, txid, actor, ip, reason, cascade_size) VALUES (?, ?, ?, ?, ?, ?, ?)')
+
     this.setTrustedStmt = this.db.prepare('INSERT OR REPLACE INTO trust (txid, value) VALUES (?, ?)')
     this.getTrustlistStmt = this.db.prepare('SELECT txid FROM trust WHERE value = 1')
 
@@ -158,13 +272,23 @@ class Database {
     this.unbanStmt = this.db.prepare('DELETE FROM ban WHERE txid = ?')
     this.getBanlistStmt = this.db.prepare('SELECT txid FROM ban')
 
+    this.getPageCountStmt = this.db.prepare('PRAGMA page_count')
+    this.getPageSizeStmt = this.db.prepare('PRAGMA page_size')
+
     this.getHeightStmt = this.db.prepare('SELECT height FROM crawl WHERE role = \'tip\'')
     this.getHashStmt = this.db.prepare('SELECT hash FROM crawl WHERE role = \'tip\'')
     this.setHeightAndHashStmt = this.db.prepare('UPDATE crawl SET height = ?, hash = ? WHERE role = \'tip\'')
+    this.addBlockStmt = this.db.prepare('INSERT OR REPLACE INTO blocks (height, hash, prev_hash, time) VALUES (?, ?, ?, ?)')
+    this.getBlockHashStmt = this.db.prepare('SELECT hash FROM blocks WHERE height = ?')
+    this.getBlockBeforeStmt = this.db.prepare('SELECT height, hash FROM blocks WHERE height < ? ORDER BY height DESC LIMIT 1')
+    this.getBlockHashesAboveHeightStmt = this.db.prepare('SELECT hash FROM blocks WHERE height > ? ORDER BY height')
+    this.deleteBlocksAboveHeightStmt = this.db.prepare('DELETE FROM blocks WHERE height > ?')
 
     this._loadTrustlist()
     this._loadBanlist()
-    this._loadUnexecuted()
+
+    // Only the writer executes transactions
+    if (!this.readonly) this._loadUnexecuted()
   }
 
   initializeV1 () {
@@ -307,6 +431,261 @@ class Database {
     this.db.prepare('VACUUM').run()
   }
 
+  initializeV3 () {
+    if (this.db.pragma('user_version')[0].user_version !== 2) return
+
+    this.logger.info('Setting up database v3')
+
+    this.transaction(() => {
+      this.db.pragma('user_version = 3')
+
+      this.db.prepare(
+        'ALTER TABLE jig ADD COLUMN origin TEXT'
+      ).run()
+
+      this.logger.info('Migrating data')
+
+      // Origins within the same transaction are stored relative to the location
+      this.db.prepare(
+        `UPDATE jig SET origin = (
+          CASE WHEN SUBSTR(json_extract(state, '$.props.origin'), 1, 1) = '_'
+          THEN SUBSTR(location, 1, 64) || json_extract(state, '$.props.origin')
+          ELSE json_extract(state, '$.props.origin') END
+        )`
+      ).run()
+
+      this.db.prepare(
+        'CREATE INDEX IF NOT EXISTS jig_origin_index ON jig (origin)'
+      ).run()
+
+      this.logger.info('Saving results')
+    })
+  }
+
+  initializeV4 () {
+    if (this.db.pragma('user_version')[0].user_version !== 3) return
+
+    this.logger.info('Setting up database v4')
+
+    this.transaction(() => {
+      this.db.pragma('user_version = 4')
+
+      this.db.prepare(
+        `CREATE TABLE IF NOT EXISTS failed (
+          txid TEXT NOT NULL PRIMARY KEY,
+          error TEXT,
+          error_class TEXT,
+          time INTEGER,
+          run_version TEXT
+        ) WITHOUT ROWID`
+      ).run()
+
+      this.db.prepare(
+        `CREATE TABLE IF NOT EXISTS failed_class (
+          txid TEXT NOT NULL,
+          class TEXT NOT NULL,
+          deployer TEXT,
+          UNIQUE(txid, class)
+        )`
+      ).run()
+
+      this.db.prepare(
+        'CREATE INDEX IF NOT EXISTS failed_time_index ON failed (time)'
+      ).run()
+
+      this.db.prepare(
+        'CREATE INDEX IF NOT EXISTS failed_class_index ON failed_class (class)'
+      ).run()
+
+      this.db.prepare(
+        'CREATE INDEX IF NOT EXISTS failed_class_deployer_index ON failed_class (deployer)'
+      ).run()
+    })
+  }
+
+  initializeV5 () {
+    if (this.db.pragma('user_version')[0].user_version !== 4) return
+
+    this.logger.info('Setting up database v5')
+
+    this.transaction(() => {
+      this.db.pragma('user_version = 5')
+
+      this.db.prepare(
+        'ALTER TABLE jig ADD COLUMN amount NUMERIC'
+      ).run()
+
+      this.db.prepare(
+        'ALTER TABLE jig ADD COLUMN owner TEXT'
+      ).run()
+
+      this.logger.info('Migrating data')
+
+      this.db.prepare(
+        `UPDATE jig SET amount = json_extract(state, '$.props.amount')
+        WHERE json_type(state, '$.props.amount') IN ('integer', 'real')`
+      ).run()
+
+      // Owners are stored as addresses, the same way the worker computes them
+      const ownersStmt = this.db.prepare(
+        `SELECT location, json_extract(state, '$.props.owner') FROM jig
+        WHERE json_type(state, '$.props.owner') = 'text'`
+      )
+      const setOwnerStmt = this.db.prepare('UPDATE jig SET owner = ? WHERE location = ?')
+      for (const [location, owner] of ownersStmt.raw(true).all()) {
+        try {
+          setOwnerStmt.run(addressify(owner), location)
+        } catch (e) { }
+      }
+
+      this.db.prepare(
+        'CREATE INDEX IF NOT EXISTS jig_class_scripthash_index ON jig (class, scripthash)'
+      ).run()
+
+      this.logger.info('Saving results')
+    })
+  }
+
+  initializeV6 () {
+    if (this.db.pragma('user_version')[0].user_version !== 5) return
+
+    this.logger.info('Setting up database v6')
+
+    this.transaction(() => {
+      this.db.pragma('user_version = 6')
+
+      this.db.prepare(
+        `CREATE TABLE IF NOT EXISTS audit (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          time INTEGER NOT NULL,
+          action TEXT NOT NULL,
+          txid TEXT NOT NULL,
+          actor TEXT NOT NULL,
+          ip TEXT,
+          reason TEXT,
+          cascade_size INTEGER NOT NULL
+        )`
+      ).run()
+
+      this.db.prepare(
+        'CREATE INDEX IF NOT EXISTS audit_txid_index ON audit (txid)'
+      ).run()
+
+      this.db.prepare(
+        'CREATE INDEX IF NOT EXISTS audit_actor_index ON audit (actor)'
+      ).run()
+    })
+  }
+
+  initializeV7 () {
+    if (this.db.pragma('user_version')[0].user_version !== 6) return
+
+    this.logger.info('Setting up database v7')
+
+    this.transaction(() => {
+      this.db.pragma('user_version = 7')
+
+      this.db.prepare(
+        `CREATE TABLE IF NOT EXISTS webhook (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          url TEXT NOT NULL,
+          secret TEXT NOT NULL,
+          class TEXT,
+          lock TEXT,
+          scripthash TEXT,
+          events TEXT,
+          time INTEGER NOT NULL
+        )`
+      ).run()
+
+      this.db.prepare(
+        `CREATE TABLE IF NOT EXISTS webhook_dead (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          webhook INTEGER NOT NULL,
+          payload TEXT NOT NULL,
+          attempts INTEGER NOT NULL,
+          error TEXT,
+          time INTEGER NOT NULL
+        )`
+      ).run()
+
+      this.db.prepare(
+        'CREATE INDEX IF NOT EXISTS webhook_dead_webhook_index ON webhook_dead (webhook)'
+      ).run()
+    })
+  }
+
+  initializeV8 () {
+    if (this.db.pragma('user_version')[0].user_version !== 7) return
+
+    this.logger.info('Setting up database v8')
+
+    this.transaction(() => {
+      this.db.pragma('user_version = 8')
+
+      this.db.prepare(
+        `CREATE TABLE IF NOT EXISTS blocks (
+          height INTEGER PRIMARY KEY,
+          hash TEXT NOT NULL,
+          prev_hash TEXT,
+          time INTEGER
+        )`
+      ).run()
+    })
+  }
+
+  // Token queries read holders, balances, and supplies from this index without reading the jig
+  // table. It replaces the index on (class, scripthash), which it starts with.
+  initializeV9 () {
+    if (this.db.pragma('user_version')[0].user_version !== 8) return
+
+    this.logger.info('Setting up database v9')
+
+    this.transaction(() => {
+      this.db.pragma('user_version = 9')
+
+      this.db.prepare(
+        'CREATE INDEX IF NOT EXISTS jig_class_holders_index ON jig (class, scripthash, owner, amount, location)'
+      ).run()
+
+      this.db.prepare(
+        'DROP INDEX IF EXISTS jig_class_scripthash_index'
+      ).run()
+    })
+  }
+
+  // Earlier versions stored the time a transaction was added as its height. Those rows never
+  // received their block height, so their heights become unknown again.
+  initializeV10 () {
+    if (this.db.pragma('user_version')[0].user_version !== 9) return
+
+    this.logger.info('Setting up database v10')
+
+    this.transaction(() => {
+      this.db.pragma('user_version = 10')
+
+      this.db.prepare(
+        `UPDATE tx SET time = IFNULL(time, height), height = NULL WHERE height >= ${LOCKTIME_THRESHOLD}`
+      ).run()
+    })
+  }
+
+  // Sums of amounts are only exact for integers, so other amounts are no longer counted
+  initializeV11 () {
+    if (this.db.pragma('user_version')[0].user_version !== 10) return
+
+    this.logger.info('Setting up database v11')
+
+    this.transaction(() => {
+      this.db.pragma('user_version = 11')
+
+      this.db.prepare(
+        `UPDATE jig SET amount = NULL
+        WHERE amount IS NOT NULL AND (typeof(amount) != 'integer' OR ABS(amount) > ${Number.MAX_SAFE_INTEGER})`
+      ).run()
+    })
+  }
+
   close () {
     if (this.db) {
       this.db.close()
@@ -354,6 +733,7 @@ class Database {
 
       inputs.forEach(location => this.setSpendStmt.run(location, txid))
       outputs.forEach(location => this.setUnspentStmt.run(location))
+      this._notifySpentJigs(txid, inputs)
 
       const tx = this.unexecuted.get(txid)
 
@@ -381,6 +761,7 @@ class Database {
 
       inputs.forEach(location => this.setSpendStmt.run(location, txid))
       outputs.forEach(location => this.setUnspentStmt.run(location))
+      this._notifySpentJigs(txid, inputs)
 
       const tx = this.unexecuted.get(txid)
 
@@ -399,7 +780,7 @@ class Database {
         }
 
         if (!this.getTransactionIndexedStmt.get(deptxid).indexed) {
-          this.setTransactionExecutionFailed(txid)
+          this.setTransactionExecutionFailed(txid, `Dependency not indexed: ${deptxid}`)
           return
         }
       }
@@ -409,7 +790,7 @@ class Database {
   }
 
   storeExecutedTransaction (txid, result) {
-    const { cache, classes, locks, scripthashes } = result
+    const { cache, classes, locks, scripthashes, owners = [] } = result
 
     const tx = this.unexecuted.get(txid)
     if (!tx) return
@@ -417,11 +798,15 @@ class Database {
     this.transaction(() => {
       this.setTransactionExecutedStmt.run(1, txid)
       this.setTransactionIndexedStmt.run(1, txid)
+      this.deleteFailedStmt.run(txid)
+      this.deleteFailedClassesStmt.run(txid)
 
       for (const key of Object.keys(cache)) {
         if (key.startsWith('jig://')) {
           const location = key.slice('jig://'.length)
-          this.setJigStateStmt.run(location, JSON.stringify(cache[key]))
+          const origin = resolveLocation(cache[key].props.origin, location)
+          const amount = isAmount(cache[key].props.amount) ? cache[key].props.amount : null
+          this.setJigStateStmt.run(location, JSON.stringify(cache[key]), origin, amount)
           continue
         }
 
@@ -444,6 +829,18 @@ class Database {
         this.setJigScripthashStmt.run(scripthash, location)
       }
 
+      for (const [location, owner] of owners) {
+        this.setJigOwnerStmt.run(owner, location)
+      }
+
+      if (this.onStoreJig) {
+        for (const key of Object.keys(cache)) {
+          if (!key.startsWith('jig://')) continue
+          const location = key.slice('jig://'.length)
+          this.onStoreJig(location, this.getJigFilters(location))
+        }
+      }
+
       for (const downtx of tx.downstream) downtx.upstream.delete(tx)
       this.unexecuted.delete(txid)
       if (tx.queuedForExecution) this.numQueuedForExecution--
@@ -457,7 +854,9 @@ class Database {
     })
   }
 
-  setTransactionExecutionFailed (txid) {
+  // Records why the transaction failed along with the classes it used, so that failures may be
+  // found by class or by the owner that deployed the class.
+  setTransactionExecutionFailed (txid, error = null, errorClass = null) {
     const tx = this.unexecuted.get(txid)
     if (!tx) return
 
@@ -466,6 +865,13 @@ class Database {
       this.setTransactionExecutedStmt.run(1, txid)
       this.setTransactionIndexedStmt.run(0, txid)
 
+      this.setFailedStmt.run(txid, error, errorClass, Math.round(Date.now() / 1000), Run.version)
+      this.deleteFailedClassesStmt.run(txid)
+      for (const cls of this._getTransactionClasses(txid)) {
+        const owner = this.getJigOwnerStmt.raw(true).get(cls)
+        this.addFailedClassStmt.run(txid, cls, owner ? owner[0] : null)
+      }
+
       for (const downtx of tx.downstream) downtx.upstream.delete(tx)
       this.unexecuted.delete(txid)
       if (tx.queuedForExecution) this.numQueuedForExecution--
@@ -483,7 +889,7 @@ class Database {
 
       if (executable) {
         for (const downtx of tx.downstream) {
-          this.setTransactionExecutionFailed(downtx.txid)
+          this.setTransactionExecutionFailed(downtx.txid, `Dependency failed: ${txid}`)
         }
       } else {
         for (const downtx of tx.downstream) {
@@ -521,6 +927,8 @@ class Database {
       this.deleteSpendsStmt.run(txid)
       this.unspendOutputsStmt.run(txid)
       this.deleteDepsStmt.run(txid)
+      this.deleteFailedStmt.run(txid)
+      this.deleteFailedClassesStmt.run(txid)
 
       const tx = this.unexecuted.get(txid)
       if (tx && tx.queuedForExecution) this.numQueuedForExecution--
@@ -537,16 +945,21 @@ class Database {
     this.unconfirmTransactionStmt.run(txid)
   }
 
+  // Returns the number of transactions unindexed, including descendants
   unindexTransaction (txid) {
     const tx = this.unexecuted.get(txid)
 
     if (tx) {
       this._checkExecutability(tx, false)
-      return
+      return 0
     }
 
+    let unindexed = 0
+
     this.transaction(() => {
-      if (this.getTransactionIndexedStmt.raw(true).get(txid)[0]) {
+      const row = this.getTransactionIndexedStmt.raw(true).get(txid)
+      if (row && row[0]) {
+        unindexed++
         this.setTransactionExecutedStmt.run(0, txid)
         this.setTransactionIndexedStmt.run(0, txid)
         this.deleteJigStatesStmt.run(txid)
@@ -565,15 +978,99 @@ class Database {
         this.unexecuted.set(txid, tx)
 
         const downtxids = this.getDownstreamStmt.raw(true).all(txid).map(row => row[0])
-        downtxids.forEach(downtxid => this.unindexTransaction(downtxid))
+        downtxids.forEach(downtxid => { unindexed += this.unindexTransaction(downtxid) })
 
         if (this.onUnindexTransaction) this.onUnindexTransaction(txid)
       }
     })
+
+    return unindexed
+  }
+
+  // Returns { unindexed, jigs } without changing anything. unindexed are the txids that
+  // unindexTransaction would reset, which are the transaction and its indexed descendants, and jigs
+  // is the number of jig states that would be deleted.
+  previewUnindex (txid) {
+    const unindexed = []
+    const visited = new Set()
+    const queue = [txid]
+    while (queue.length) {
+      const next = queue.shift()
+      if (visited.has(next)) continue
+      visited.add(next)
+      if (this.unexecuted.has(next)) continue
+      const row = this.getTransactionIndexedStmt.raw(true).get(next)
+      if (!row || !row[0]) continue
+      unindexed.push(next)
+      this.getDownstreamStmt.raw(true).all(next).forEach(row => queue.push(row[0]))
+    }
+
+    const jigs = unindexed.reduce((sum, txid) => sum + this.countTransactionJigsStmt.get(txid, txid).count, 0)
+
+    return { unindexed, jigs }
+  }
+
+  // Returns the stored flags for a transaction, or undefined if it is unknown
+  getTransactionStatus (txid) {
+    const row = this.getTransactionStatusStmt.get(txid)
+    if (!row) return undefined
+    return {
+      height: row.height,
+      time: row.time,
+      downloaded: !!row.downloaded,
+      hasCode: !!row.has_code,
+      executable: !!row.executable,
+      executed: !!row.executed,
+      indexed: !!row.indexed
+    }
+  }
+
+  // Explains where a stored transaction is in the pipeline. Returns { state, waitingOn, untrusted }
+  // where state is banned, indexed, failed, not_downloaded, not_executable, untrusted, waiting, or
+  // queued. waitingOn lists the unexecuted transactions it depends on. The indexer knows more.
+  getTransactionState (txid) {
+    const status = this.getTransactionStatus(txid)
+    if (!status) return undefined
+
+    const result = state => ({ state, waitingOn: [], untrusted: [] })
+
+    if (this.isBanned(txid)) return result('banned')
+    if (status.indexed) return result('indexed')
+    if (status.executed) return result('failed')
+    if (!status.downloaded) return result('not_downloaded')
+    if (!status.executable) return result('not_executable')
+
+    const untrusted = this.getTransactionUntrusted(txid)
+    const tx = this._getUnexecuted(txid)
+    const waitingOn = this.readonly || !tx
+      ? this.getUpstreamUnexecutedStmt.raw(true).all(txid).map(row => row[0])
+      : Array.from(tx.upstream).map(uptx => uptx.txid)
+
+    const state = untrusted.length ? 'untrusted' : waitingOn.length ? 'waiting' : 'queued'
+    return { state, waitingOn, untrusted }
+  }
+
+  // Clears the jig and berry states of executed transactions, whether indexed or failed, and
+  // queues them to execute again. Returns the txids that will be re-executed.
+  reexecuteTransactions (txids, descendants = false) {
+    const reset = []
+
+    this.transaction(() => {
+      const visited = new Set()
+      txids.forEach(txid => this._resetExecutedTransaction(txid, descendants, visited, reset))
+
+      // Check after all are reset so that upstream transactions execute first. Pending downstream
+      // transactions now wait for their re-executed dependencies.
+      reset.forEach(tx => this._checkExecutability(tx))
+      reset.forEach(tx => tx.downstream.forEach(downtx => this._checkExecutability(downtx)))
+    })
+
+    return reset.map(tx => tx.txid)
   }
 
   hasTransaction (txid) { return !!this.hasTransactionStmt.get(txid) }
   isTransactionDownloaded (txid) { return !!this.getTransactionDownloadedStmt.raw(true).get(txid)[0] }
+  getTransactionsInHeightRange (start, end) { return this.getTransactionsInHeightRangeStmt.raw(true).all(start, end).map(row => row[0]) }
   getTransactionsAboveHeight (height) { return this.getTransactionsAboveHeightStmt.raw(true).all(height).map(row => row[0]) }
   getMempoolTransactionsBeforeTime (time) { return this.getMempoolTransactionsBeforeTimeStmt.raw(true).all(time).map(row => row[0]) }
   getTransactionsToDownload () { return this.getTransactionsToDownloadStmt.raw(true).all().map(row => row[0]) }
@@ -581,6 +1078,58 @@ class Database {
   getIndexedCount () { return this.getTransactionsIndexedCountStmt.get().count }
   getNumQueuedForExecution () { return this.numQueuedForExecution }
 
+  // --------------------------------------------------------------------------
+  // failed
+  // --------------------------------------------------------------------------
+
+  // Returns { txid, error, errorClass, time, runVersion, classes, deployers } for a transaction
+  // that failed to execute, or undefined if no failure was recorded
+  getFailure (txid) {
+    const row = this.getFailedStmt.get(txid)
+    if (!row) return undefined
+    const classes = this.getFailedClassesStmt.all(txid)
+    return {
+      txid: row.txid,
+      error: row.error,
+      errorClass: row.error_class,
+      time: row.time,
+      runVersion: row.run_version,
+      classes: classes.map(row => row.class),
+      deployers: Array.from(new Set(classes.map(row => row.deployer).filter(x => x)))
+    }
+  }
+
+  // Returns failures newest first, optionally filtered by class origin or deployer. After is the
+  // { time, txid } of the last failure on the previous page.
+  getFailed (filters = {}, limit = null, after = null) {
+    let sql = 'SELECT txid, time FROM failed WHERE 1'
+    const params = {}
+
+    if (filters.class || filters.deployer) {
+      sql += ' AND EXISTS (SELECT 1 FROM failed_class WHERE failed_class.txid = failed.txid'
+      if (filters.class) sql += ' AND failed_class.class = @class'
+      if (filters.deployer) sql += ' AND failed_class.deployer = @deployer'
+      sql += ')'
+      if (filters.class) params.class = filters.class
+      if (filters.deployer) params.deployer = filters.deployer
+    }
+
+    if (after) {
+      sql += ' AND (time < @afterTime OR (time = @afterTime AND txid > @afterTxid))'
+      params.afterTime = after.time
+      params.afterTxid = after.txid
+    }
+
+    sql += ' ORDER BY time DESC, txid'
+
+    if (limit !== null) {
+      sql += ' LIMIT @limit'
+      params.limit = limit
+    }
+
+    return this._prepareQuery(sql).all(params).map(row => this.getFailure(row.txid))
+  }
+
   // --------------------------------------------------------------------------
   // spends
   // --------------------------------------------------------------------------
@@ -604,7 +1153,7 @@ class Database {
       tx.upstream.add(deptx)
     } else {
       if (!this.getTransactionIndexedStmt.get(deptxid).indexed) {
-        this.setTransactionExecutionFailed(tx.txid)
+        this.setTransactionExecutionFailed(tx.txid, `Dependency not indexed: ${deptxid}`)
       }
     }
   }
@@ -624,6 +1173,42 @@ class Database {
     })
   }
 
+  // Walks the deps of a transaction up to depth levels upstream and downstream. Returns
+  // { nodes, edges, truncated } where each node has its status flags and its distance, which is
+  // negative upstream, and each edge is { up, down }. Stops adding nodes after maxNodes.
+  getDependencyGraph (txid, depth, maxNodes = Infinity) {
+    const distances = new Map([[txid, 0]])
+    const edges = []
+    let truncated = false
+
+    const walk = (stmt, direction, edge) => {
+      let frontier = [txid]
+      for (let level = 1; level <= depth && frontier.length; level++) {
+        const next = []
+        for (const from of frontier) {
+          for (const [to] of stmt.raw(true).all(from)) {
+            if (!distances.has(to)) {
+              if (distances.size >= maxNodes) { truncated = true; continue }
+              distances.set(to, direction * level)
+              next.push(to)
+            }
+            edges.push(edge(from, to))
+          }
+        }
+        frontier = next
+      }
+    }
+
+    walk(this.getUpstreamStmt, -1, (from, to) => ({ up: to, down: from }))
+    walk(this.getDownstreamStmt, 1, (from, to) => ({ up: from, down: to }))
+
+    const nodes = Array.from(distances).map(([txid, distance]) => {
+      return { txid, distance, ...this.getTransactionStatus(txid) }
+    })
+
+    return { nodes, edges, truncated }
+  }
+
   // --------------------------------------------------------------------------
   // jig
   // --------------------------------------------------------------------------
@@ -633,46 +1218,225 @@ class Database {
     return row && row[0]
   }
 
+  // Returns the states of a jig from its origin through each later location, or null if the
+  // location is not indexed. The history ends at the latest location, the location where the
+  // jig was destroyed, or where the spending transaction is not indexed.
+  getJigHistory (location) {
+    const origin = this.getJigOrigin(location)
+    if (!origin) return null
+
+    const history = []
+    const visited = new Set()
+
+    let next = origin
+    while (next && !visited.has(next)) {
+      visited.add(next)
+
+      const txid = next.slice(0, 64)
+      const nextState = this.getJigState(next)
+      const spendTxid = this.getSpend(next) || null
+
+      history.push({
+        location: next,
+        state: nextState ? JSON.parse(nextState) : null,
+        height: this.getTransactionHeight(txid),
+        time: this.getTransactionTime(txid),
+        spendTxid
+      })
+
+      next = spendTxid && this._findJigLocation(spendTxid, origin)
+    }
+
+    return history
+  }
+
+  getJigOrigin (location) {
+    const row = this.getJigOriginStmt.raw(true).get(location)
+    return row && row[0]
+  }
+
+  // Follows a jig's spends from a location to its latest state. Returns { location, state,
+  // destroyed }, or null if the location is not indexed. If a later transaction is not indexed,
+  // for example because it is banned, the latest state is unknown and its fields are null.
+  getLatestJigState (location) {
+    const origin = this.getJigOrigin(location)
+    if (!origin) return null
+
+    const visited = new Set()
+
+    while (!visited.has(location)) {
+      visited.add(location)
+      const spendTxid = this.getSpend(location)
+      if (!spendTxid) break
+      location = this._findJigLocation(spendTxid, origin)
+      if (!location) return { location: null, state: null, destroyed: null }
+    }
+
+    const state = JSON.parse(this.getJigState(location))
+    const destroyed = location.slice(65, 66) === 'd'
+    return { location, state, destroyed }
+  }
+
+  // Returns the txids of transactions that created states of a class or its code, or that failed
+  // while using the class
+  getClassTransactions (origin) {
+    return this.getClassTransactionsStmt.raw(true).all(origin, origin, origin).map(row => row[0])
+  }
+
+  // Returns { class, lock, scripthash } for a jig location, or undefined if not indexed
+  getJigFilters (location) {
+    return this.getJigFiltersStmt.get(location)
+  }
+
+  // --------------------------------------------------------------------------
+  // cache
+  // --------------------------------------------------------------------------
+
+  // Returns the value stored for a RUN cache key, or undefined. Workers load states through this.
+  getCacheValue (key) {
+    if (key.startsWith('jig://')) {
+      const state = this.getJigState(key.slice('jig://'.length))
+      if (state) return JSON.parse(state)
+    }
+    if (key.startsWith('berry://')) {
+      const state = this.getBerryState(key.slice('berry://'.length))
+      if (state) return JSON.parse(state)
+    }
+    if (key.startsWith('tx://')) {
+      return this.getTransactionHex(key.slice('tx://'.length))
+    }
+  }
+
+  // Returns an object of cache keys to values for the keys that are stored
+  getCacheValues (keys) {
+    const values = {}
+    for (const key of keys) {
+      const value = this.getCacheValue(key)
+      if (value) values[key] = value
+    }
+    return values
+  }
+
   // --------------------------------------------------------------------------
   // unspent
   // --------------------------------------------------------------------------
 
   getAllUnspent () {
-    return this.getAllUnspentStmt.raw(true).all().map(row => row[0])
+    return this.getUnspent({}).map(row => row.location)
   }
 
   getAllUnspentByClassOrigin (origin) {
-    return this.getAllUnspentByClassStmt.raw(true).all(origin).map(row => row[0])
+    return this.getUnspent({ class: origin }).map(row => row.location)
   }
 
   getAllUnspentByLockOrigin (origin) {
-    return this.getAllUnspentByLockStmt.raw(true).all(origin).map(row => row[0])
+    return this.getUnspent({ lock: origin }).map(row => row.location)
   }
 
   getAllUnspentByScripthash (scripthash) {
-    return this.getAllUnspentByScripthashStmt.raw(true).all(scripthash).map(row => row[0])
+    return this.getUnspent({ scripthash }).map(row => row.location)
   }
 
   getAllUnspentByClassOriginAndLockOrigin (clsOrigin, lockOrigin) {
-    return this.getAllUnspentByClassLockStmt.raw(true).all(clsOrigin, lockOrigin).map(row => row[0])
+    return this.getUnspent({ class: clsOrigin, lock: lockOrigin }).map(row => row.location)
   }
 
   getAllUnspentByClassOriginAndScripthash (clsOrigin, scripthash) {
-    return this.getAllUnspentByClassScripthashStmt.raw(true).all(clsOrigin, scripthash).map(row => row[0])
+    return this.getUnspent({ class: clsOrigin, scripthash }).map(row => row.location)
   }
 
   getAllUnspentByLockOriginAndScripthash (lockOrigin, scripthash) {
-    return this.getAllUnspentByLockScripthashStmt.raw(true).all(lockOrigin, scripthash).map(row => row[0])
+    return this.getUnspent({ lock: lockOrigin, scripthash }).map(row => row.location)
   }
 
   getAllUnspentByClassOriginAndLockOriginAndScripthash (clsOrigin, lockOrigin, scripthash) {
-    return this.getAllUnspentByClassLockScripthashStmt.raw(true).all(clsOrigin, lockOrigin, scripthash).map(row => row[0])
+    return this.getUnspent({ class: clsOrigin, lock: lockOrigin, scripthash }).map(row => row.location)
+  }
+
+  // Returns [{ location, height? }] for unspent jigs matching filters { class, lock, scripthash }.
+  // Rows are sorted by location, or by height then location. Height is only returned when
+  // sorting by height. If after is passed, only rows sorted after that row are returned.
+  getUnspent (filters, order = 'location', limit = null, after = null) {
+    const stmt = this._prepareUnspentStmt(filters, order, !!after, limit !== null, false)
+    const params = this._unspentParams(filters)
+    if (after) params.afterLocation = after.location
+    if (after && order === 'height') params.afterHeight = after.height
+    if (limit !== null) params.limit = limit
+    return stmt.all(params)
+  }
+
+  countUnspent (filters) {
+    const stmt = this._prepareUnspentStmt(filters, null, false, false, true)
+    return stmt.get(this._unspentParams(filters)).count
   }
 
   getNumUnspent () {
     return this.getNumUnspentStmt.get().unspent
   }
 
+  // --------------------------------------------------------------------------
+  // token
+  // --------------------------------------------------------------------------
+
+  // Returns { supply, outputs } summed over the unspent jigs of a class that have an integer amount
+  getTokenSupply (cls) {
+    const row = this.getTokenSupplyStmt.get(cls)
+    return { supply: toAmount(row.supply), outputs: Number(row.outputs) }
+  }
+
+  getTokenBalance (cls, scripthash) {
+    const row = this.getTokenBalanceStmt.get(cls, scripthash)
+    return { balance: toAmount(row.balance), outputs: Number(row.outputs) }
+  }
+
+  // Returns [{ scripthash, owner, balance, outputs }] for each holder of a class, sorted by
+  // balance and then scripthash. If after is passed, only holders sorted after it are returned.
+  getTokenHolders (cls, order = 'desc', limit = null, after = null) {
+    if (!TOKEN_HOLDER_ORDERS.includes(order)) throw new Error(`Unknown order: ${order}`)
+
+    let sql = `SELECT jig.scripthash AS scripthash, MAX(jig.owner) AS owner, SUM(jig.amount) AS balance, COUNT(*) AS outputs
+      FROM spends JOIN jig ON spends.location = jig.location
+      WHERE spends.spend_txid IS NULL AND jig.class = @class AND jig.amount IS NOT NULL AND jig.scripthash IS NOT NULL
+      GROUP BY jig.scripthash`
+    const cmp = order === 'desc' ? '<' : '>'
+    if (after) sql += ` HAVING balance ${cmp} @afterBalance OR (balance = @afterBalance AND scripthash > @afterScripthash)`
+    sql += ` ORDER BY balance ${order.toUpperCase()}, scripthash`
+    if (limit !== null) sql += ' LIMIT @limit'
+
+    const params = { class: cls }
+    if (after) params.afterBalance = BigInt(after.balance)
+    if (after) params.afterScripthash = after.scripthash
+    if (limit !== null) params.limit = limit
+    const rows = this._prepareQuery(sql).safeIntegers(true).all(params)
+    return rows.map(row => Object.assign(row, { balance: toAmount(row.balance), outputs: Number(row.outputs) }))
+  }
+
+  // --------------------------------------------------------------------------
+  // export
+  // --------------------------------------------------------------------------
+
+  // Yields { location, state, class, origin, lock, scripthash, owner, amount, height, spendTxid }
+  // for jig and code states. Filters are { class, start, end, unspent }.
+  * exportJigs (filters = {}, batchSize = EXPORT_BATCH_SIZE) {
+    for (const row of this._exportRows('jigs', filters, batchSize)) {
+      yield Object.assign(row, { state: JSON.parse(row.state) })
+    }
+  }
+
+  // Yields { txid, height, time, downloaded, hasCode, executable, executed, indexed }.
+  // Filters are { start, end }.
+  * exportTransactions (filters = {}, batchSize = EXPORT_BATCH_SIZE) {
+    for (const row of this._exportRows('tx', filters, batchSize)) {
+      for (const key of ['downloaded', 'hasCode', 'executable', 'executed', 'indexed']) row[key] = !!row[key]
+      yield row
+    }
+  }
+
+  // Yields { location, spendTxid, class, height } for outputs. Filters are { class, start, end, unspent }.
+  * exportSpends (filters = {}, batchSize = EXPORT_BATCH_SIZE) {
+    yield * this._exportRows('spends', filters, batchSize)
+  }
+
   // --------------------------------------------------------------------------
   // berry
   // --------------------------------------------------------------------------
@@ -687,30 +1451,19 @@ class Database {
   // --------------------------------------------------------------------------
 
   isTrusted (txid) {
+    if (this.readonly) this._loadTrustlist()
     return this.trustlist.has(txid)
   }
 
-  trust (txid) {
+  trust (txid, audit = {}) {
     if (this.trustlist.has(txid)) return
 
-    const trusted = [txid]
-
-    const tx = this.unexecuted.get(txid)
-    if (tx) {
-      const queue = [...tx.upstream]
-      const visited = new Set()
-      while (queue.length) {
-        const tx = queue.shift()
-        if (visited.has(tx)) continue
-        visited.add(tx)
-        if (tx.hasCode && !this.trustlist.has(tx.txid)) trusted.push(tx.txid)
-        Array.from(tx.upstream).forEach(uptx => queue.push(uptx))
-      }
-    }
+    const trusted = this._getTrustedWithAncestors(txid)
 
     this.transaction(() => {
       trusted.forEach(txid => this.setTrustedStmt.run(txid, 1))
       trusted.forEach(txid => this.trustlist.add(txid))
+      this.addAudit('trust', txid, audit, trusted.length)
     })
 
     trusted.forEach(txid => {
@@ -721,33 +1474,78 @@ class Database {
     if (this.onTrustTransaction) trusted.forEach(txid => this.onTrustTransaction(txid))
   }
 
-  untrust (txid) {
+  // Returns { trusted, executable, jigs } without changing anything. trusted are the txids that
+  // trust would add, executable are the transactions that would then be queued to execute, and
+  // jigs is the number of output locations those transactions would index.
+  previewTrust (txids) {
+    const trusted = new Set()
+    txids
+      .filter(txid => !this.trustlist.has(txid))
+      .forEach(txid => this._getTrustedWithAncestors(txid).forEach(txid => trusted.add(txid)))
+
+    // Same rule as _checkExecutability but with the new trustlist
+    const memo = new Map()
+    const wouldQueue = tx => {
+      if (tx.queuedForExecution) return true
+      if (!memo.has(tx)) {
+        memo.set(tx, tx.downloaded &&
+          (!tx.hasCode || this.trustlist.has(tx.txid) || trusted.has(tx.txid)) &&
+          !this.banlist.has(tx.txid) &&
+          Array.from(tx.upstream).every(wouldQueue))
+      }
+      return memo.get(tx)
+    }
+
+    const executable = []
+    const visited = new Set()
+    const queue = Array.from(trusted).map(txid => this.unexecuted.get(txid)).filter(tx => tx)
+    while (queue.length) {
+      const tx = queue.shift()
+      if (visited.has(tx)) continue
+      visited.add(tx)
+      if (tx.queuedForExecution || !wouldQueue(tx)) continue
+      executable.push(tx.txid)
+      tx.downstream.forEach(downtx => queue.push(downtx))
+    }
+
+    const jigs = executable.reduce((sum, txid) => sum + this.countTransactionOutputsStmt.get(txid, txid).count, 0)
+
+    return { trusted: Array.from(trusted), executable, jigs }
+  }
+
+  untrust (txid, audit = {}) {
     if (!this.trustlist.has(txid)) return
     this.transaction(() => {
-      this.unindexTransaction(txid)
+      const unindexed = this.unindexTransaction(txid)
       this.setTrustedStmt.run(txid, 0)
+      this.addAudit('untrust', txid, audit, unindexed)
     })
     this.trustlist.delete(txid)
     if (this.onUntrustTransaction) this.onUntrustTransaction(txid)
   }
 
   getTrustlist () {
+    if (this.readonly) this._loadTrustlist()
     return Array.from(this.trustlist)
   }
 
   getAllUntrusted () {
+    if (this.readonly) return this.getAllUntrustedStmt.raw(true).all().map(row => row[0])
+
     return Array.from(this.unexecuted.values())
       .filter(tx => tx.hasCode && !this.trustlist.has(tx.txid))
       .map(tx => tx.txid)
   }
 
   getTransactionUntrusted (txid) {
+    if (this.readonly) this._loadTrustlist()
+
     const untrusted = new Set()
     const visited = new Set([txid])
     const queue = [txid]
     while (queue.length) {
       const next = queue.shift()
-      const tx = this.unexecuted.get(next)
+      const tx = this._getUnexecuted(next)
       if (!tx) continue
       if (tx.hasCode && !this.trustlist.has(next)) untrusted.add(next)
       const upstreamUnexecuted = this.getUpstreamUnexecutedStmt.raw(true).all(next).map(row => row[0])
@@ -765,22 +1563,27 @@ class Database {
   // --------------------------------------------------------------------------
 
   isBanned (txid) {
+    if (this.readonly) this._loadBanlist()
     return this.banlist.has(txid)
   }
 
-  ban (txid) {
+  ban (txid, audit = {}) {
     if (this.banlist.has(txid)) return
     this.transaction(() => {
-      this.unindexTransaction(txid)
+      const unindexed = this.unindexTransaction(txid)
       this.banStmt.run(txid)
+      this.addAudit('ban', txid, audit, unindexed)
     })
     this.banlist.add(txid)
     if (this.onBanTransaction) this.onBanTransaction(txid)
   }
 
-  unban (txid) {
+  unban (txid, audit = {}) {
     if (!this.banlist.has(txid)) return
-    this.unbanStmt.run(txid)
+    this.transaction(() => {
+      this.unbanStmt.run(txid)
+      this.addAudit('unban', txid, audit, 0)
+    })
     this.banlist.delete(txid)
     const tx = this.unexecuted.get(txid)
     if (tx) this._checkExecutability(tx)
@@ -788,9 +1591,98 @@ class Database {
   }
 
   getBanlist () {
+    if (this.readonly) this._loadBanlist()
     return Array.from(this.banlist)
   }
 
+  // --------------------------------------------------------------------------
+  // audit
+  // --------------------------------------------------------------------------
+
+  // Records who changed a transaction and why. audit is { actor, ip, reason } and cascade is the
+  // number of transactions trusted, unindexed, added, or removed as a result. Only calls that
+  // change something are recorded, so trusting a trusted transaction adds no entry.
+  addAudit (action, txid, audit, cascade) {
+    const { actor = 'system', ip = null, reason = null } = audit || {}
+    const time = Math.round(Date.now() / 1000)
+    this.addAuditStmt.run(time, action, txid, actor, ip, reason, cascade)
+  }
+
+  // Returns [{ id, time, action, txid, actor, ip, reason, cascade }] newest first, filtered by
+  // { txid, action, actor }. If after is passed, only entries older than that id are returned.
+  getAudit (filters = {}, limit = null, after = null) {
+    let sql = 'SELECT id, time, action, txid, actor, ip, reason, cascade_size AS cascade FROM audit WHERE 1'
+    const params = {}
+
+    AUDIT_FILTERS.filter(key => filters[key]).forEach(key => {
+      sql += ` AND ${key} = @${key}`
+      params[key] = filters[key]
+    })
+
+    if (after !== null) {
+      sql += ' AND id < @after'
+      params.after = after
+    }
+
+    sql += ' ORDER BY id DESC'
+
+    if (limit !== null) {
+      sql += ' LIMIT @limit'
+      params.limit = limit
+    }
+
+    return this._prepareQuery(sql).all(params)
+  }
+
+  // --------------------------------------------------------------------------
+  // webhook
+  // --------------------------------------------------------------------------
+
+  // Stores a webhook { url, secret, class, lock, scripthash, events } and returns it with its id
+  addWebhook (webhook) {
+    const time = Math.round(Date.now() / 1000)
+    const { url, secret } = webhook
+    const cls = webhook.class || null
+    const lock = webhook.lock || null
+    const scripthash = webhook.scripthash || null
+    const events = webhook.events || []
+    const info = this.addWebhookStmt.run(url, secret, cls, lock, scripthash, events.length ? events.join(',') : null, time)
+    return { id: info.lastInsertRowid, url, secret, class: cls, lock, scripthash, events, time }
+  }
+
+  getWebhooks () {
+    return this.getWebhooksStmt.all().map(row => ({ ...row, events: row.events ? row.events.split(',') : [] }))
+  }
+
+  // Returns whether the webhook existed. Its dead letters are deleted too.
+  deleteWebhook (id) {
+    let deleted = false
+    this.transaction(() => {
+      deleted = !!this.deleteWebhookStmt.run(id).changes
+      this.deleteDeadLettersStmt.run(id)
+    })
+    return deleted
+  }
+
+  // Stores a payload that could not be delivered
+  addDeadLetter (webhookId, payload, attempts, error) {
+    const time = Math.round(Date.now() / 1000)
+    this.addDeadLetterStmt.run(webhookId, JSON.stringify(payload), attempts, error, time)
+  }
+
+  getDeadLetters () {
+    return this.getDeadLettersStmt.all().map(row => ({ ...row, payload: JSON.parse(row.payload) }))
+  }
+
+  getDeadLetter (id) {
+    const row = this.getDeadLetterStmt.get(id)
+    return row && { ...row, payload: JSON.parse(row.payload) }
+  }
+
+  deleteDeadLetter (id) {
+    return !!this.deleteDeadLetterStmt.run(id).changes
+  }
+
   // --------------------------------------------------------------------------
   // crawl
   // --------------------------------------------------------------------------
@@ -809,16 +1701,55 @@ class Database {
     this.setHeightAndHashStmt.run(height, hash)
   }
 
+  // --------------------------------------------------------------------------
+  // blocks
+  // --------------------------------------------------------------------------
+
+  addBlock (height, hash, prevHash, time) {
+    this.addBlockStmt.run(height, hash, prevHash, time)
+  }
+
+  getBlockHash (height) {
+    const row = this.getBlockHashStmt.raw(true).get(height)
+    return row ? row[0] : null
+  }
+
+  // Returns { height, hash } of the highest crawled block below a height, or undefined
+  getBlockBefore (height) {
+    return this.getBlockBeforeStmt.get(height)
+  }
+
+  getBlockHashesAboveHeight (height) {
+    return this.getBlockHashesAboveHeightStmt.raw(true).all(height).map(row => row[0])
+  }
+
+  deleteBlocksAboveHeight (height) {
+    this.deleteBlocksAboveHeightStmt.run(height)
+  }
+
+  // Returns the size of the main database file in bytes, not including the write-ahead log
+  getSize () {
+    return this.getPageCountStmt.raw(true).get()[0] * this.getPageSizeStmt.raw(true).get()[0]
+  }
+
   // --------------------------------------------------------------------------
   // internal
   // --------------------------------------------------------------------------
 
+  // Read-only connections reload these lists before each use because the writer may change them
   _loadTrustlist () {
-    this.getTrustlistStmt.raw(true).all().forEach(row => this.trustlist.add(row[0]))
+    this.trustlist = new Set(this.getTrustlistStmt.raw(true).all().map(row => row[0]))
   }
 
   _loadBanlist () {
-    this.getBanlistStmt.raw(true).all().forEach(row => this.banlist.add(row[0]))
+    this.banlist = new Set(this.getBanlistStmt.raw(true).all().map(row => row[0]))
+  }
+
+  // Read-only connections have no in-memory graph, so they read unexecuted transactions directly
+  _getUnexecuted (txid) {
+    if (!this.readonly) return this.unexecuted.get(txid)
+    const row = this.getUnexecutedTransactionStmt.raw(true).get(txid)
+    return row && new UnexecutedTx(row[0], !!row[1], !!row[2])
   }
 
   _loadUnexecuted () {
@@ -842,6 +1773,180 @@ class Database {
     }
   }
 
+  _resetExecutedTransaction (txid, descendants, visited, reset) {
+    if (visited.has(txid)) return
+    visited.add(txid)
+
+    // Transactions not yet executed will execute anyway, and non-RUN transactions never execute
+    const status = this.getTransactionStatus(txid)
+    if (!status || !status.downloaded || !status.executed || this.unexecuted.has(txid)) return
+
+    let executable = false
+    try {
+      Run.util.metadata(this.getTransactionHex(txid))
+      executable = true
+    } catch (e) { }
+    if (!executable) return
+
+    this.setTransactionExecutableStmt.run(1, txid)
+    this.setTransactionExecutedStmt.run(0, txid)
+    this.setTransactionIndexedStmt.run(0, txid)
+    this.deleteJigStatesStmt.run(txid)
+    this.deleteBerryStatesStmt.run(txid)
+    this.deleteFailedStmt.run(txid)
+    this.deleteFailedClassesStmt.run(txid)
+
+    const tx = new UnexecutedTx(txid, true, status.hasCode)
+    const upstreamUnexecuted = this.getUpstreamUnexecutedStmt.raw(true).all(txid).map(row => row[0])
+    for (const uptxid of upstreamUnexecuted) {
+      const uptx = this.unexecuted.get(uptxid)
+      if (!uptx) continue
+      tx.upstream.add(uptx)
+      uptx.downstream.add(tx)
+    }
+
+    const downtxids = this.getDownstreamStmt.raw(true).all(txid).map(row => row[0])
+    for (const downtxid of downtxids) {
+      const downtx = this.unexecuted.get(downtxid)
+      if (!downtx) continue
+      downtx.upstream.add(tx)
+      tx.downstream.add(downtx)
+    }
+
+    this.unexecuted.set(txid, tx)
+    reset.push(tx)
+
+    if (this.onReexecuteTransaction) this.onReexecuteTransaction(txid)
+
+    if (descendants) {
+      downtxids.forEach(downtxid => this._resetExecutedTransaction(downtxid, descendants, visited, reset))
+    }
+  }
+
+  _findJigLocation (txid, origin) {
+    const row = this.getTransactionJigByOriginStmt.raw(true).get(origin, txid, txid)
+    return row && row[0]
+  }
+
+  _notifySpentJigs (txid, inputs) {
+    if (!this.onSpendJig) return
+    for (const location of inputs) {
+      const filters = this.getJigFilters(location)
+      if (filters) this.onSpendJig(location, txid, filters)
+    }
+  }
+
+  _prepareUnspentStmt (filters, order, hasAfter, hasLimit, count) {
+    if (!count && !UNSPENT_ORDERS.includes(order)) throw new Error(`Unknown order: ${order}`)
+
+    const byHeight = !count && order === 'height'
+
+    let sql = 'SELECT '
+    if (count) sql += 'COUNT(*) AS count'
+    else if (byHeight) sql += `spends.location AS location, ${UNSPENT_SORT_HEIGHT} AS height`
+    else sql += 'spends.location AS location'
+    sql += ' FROM spends JOIN jig ON spends.location = jig.location'
+    if (byHeight) sql += ' JOIN tx ON tx.txid = SUBSTR(spends.location, 1, 64)'
+    sql += ' WHERE spends.spend_txid IS NULL'
+
+    UNSPENT_FILTERS.filter(key => filters[key]).forEach(key => { sql += ` AND jig.${key} = @${key}` })
+
+    if (hasAfter && byHeight) {
+      sql += ` AND (${UNSPENT_SORT_HEIGHT} > @afterHeight OR (${UNSPENT_SORT_HEIGHT} = @afterHeight AND spends.location > @afterLocation))`
+    } else if (hasAfter) {
+      sql += ' AND spends.location > @afterLocation'
+    }
+
+    if (byHeight) sql += ' ORDER BY height, location'
+    else if (!count) sql += ' ORDER BY location'
+
+    if (hasLimit) sql += ' LIMIT @limit'
+
+    return this._prepareQuery(sql)
+  }
+
+  // Heights filter confirmed outputs by the block of the transaction that created them
+  * _exportRows (name, filters, batchSize) {
+    const { columns, from, key } = EXPORTS[name]
+    const hasHeight = Number.isInteger(filters.start) || Number.isInteger(filters.end)
+
+    let sql = `SELECT ${columns} FROM ${from} WHERE ${key} > @after`
+    if (filters.class) sql += ' AND jig.class = @class'
+    if (hasHeight) sql += ' AND tx.height >= 0'
+    if (Number.isInteger(filters.start)) sql += ' AND tx.height >= @start'
+    if (Number.isInteger(filters.end)) sql += ' AND tx.height <= @end'
+    if (filters.unspent) sql += ' AND spends.location IS NOT NULL AND spends.spend_txid IS NULL'
+    sql += ` ORDER BY ${key} LIMIT @limit`
+
+    const stmt = this._prepareQuery(sql)
+    const params = { after: '', limit: batchSize }
+    if (filters.class) params.class = filters.class
+    if (Number.isInteger(filters.start)) params.start = filters.start
+    if (Number.isInteger(filters.end)) params.end = filters.end
+
+    const column = key.split('.')[1]
+    while (true) {
+      const rows = stmt.all(params)
+      for (const row of rows) yield row
+      if (rows.length < batchSize) return
+      params.after = rows[rows.length - 1][column]
+    }
+  }
+
+  _prepareQuery (sql) {
+    let stmt = this.queryStmts.get(sql)
+    if (!stmt) {
+      stmt = this.db.prepare(sql)
+      this.queryStmts.set(sql, stmt)
+    }
+    return stmt
+  }
+
+  // Class origins of the jigs a transaction spends or references. Code is its own class.
+  _getTransactionClasses (txid) {
+    const locations = this.getSpentLocationsStmt.raw(true).all(txid).map(row => row[0])
+
+    try {
+      const metadata = Run.util.metadata(this.getTransactionHex(txid))
+      metadata.ref.filter(ref => !ref.startsWith('native://')).forEach(ref => locations.push(ref))
+    } catch (e) { }
+
+    const classes = new Set()
+    for (const location of locations) {
+      const filters = this.getJigFilters(location)
+      if (!filters) continue
+      const cls = filters.class || this.getJigOrigin(location)
+      if (cls) classes.add(cls)
+    }
+    return classes
+  }
+
+  _unspentParams (filters) {
+    const params = {}
+    UNSPENT_FILTERS.filter(key => filters[key]).forEach(key => { params[key] = filters[key] })
+    return params
+  }
+
+  // The txid and its unexecuted ancestors that have code and are not trusted
+  _getTrustedWithAncestors (txid) {
+    const trusted = [txid]
+
+    const tx = this.unexecuted.get(txid)
+    if (tx) {
+      const queue = [...tx.upstream]
+      const visited = new Set()
+      while (queue.length) {
+        const tx = queue.shift()
+        if (visited.has(tx)) continue
+        visited.add(tx)
+        if (tx.hasCode && !this.trustlist.has(tx.txid)) trusted.push(tx.txid)
+        Array.from(tx.upstream).forEach(uptx => queue.push(uptx))
+      }
+    }
+
+    return trusted
+  }
+
   _checkExecutability (tx, forceQueuedForExecution) {
     let queuedForExecution
 
@@ -879,5 +1984,7 @@ class Database {
 
 Database.HEIGHT_MEMPOOL = HEIGHT_MEMPOOL
 Database.HEIGHT_UNKNOWN = HEIGHT_UNKNOWN
+Database.UNSPENT_ORDERS = UNSPENT_ORDERS
+Database.TOKEN_HOLDER_ORDERS = TOKEN_HOLDER_ORDERS
 
 module.exports = Database
@@ -4,23 +4,57 @@
  * Downloads transactions
  */
 
+// ------------------------------------------------------------------------------------------------
+// Globals
+// ------------------------------------------------------------------------------------------------
+
+// Weight of each new request in a provider's average error rate and latency
+const SMOOTHING = 0.2
+
+const DEFAULT_UNHEALTHY_ERROR_RATE = 0.5
+const DEFAULT_UNHEALTHY_MIN_REQUESTS = 5
+const DEFAULT_UNHEALTHY_COOLDOWN = 30 // seconds before an unhealthy provider is tried first again
+
+// A provider that does not have a transaction is not unhealthy. These are HTTP 404s, missing
+// files, and the Bitcoin node's invalid address or key error.
+const isNotFound = e => (e.response && e.response.status === 404) || e.code === 'ENOENT' || e.code === -5
+
 // ------------------------------------------------------------------------------------------------
 // Downloader
 // ------------------------------------------------------------------------------------------------
 
+/**
+ * Fetches each transaction from an ordered list of providers { name, fetch }. Providers are tried
+ * in order until one returns the transaction. Providers with high error rates are tried after the
+ * others until they cool down.
+ */
 class Downloader {
-  constructor (fetchFunction, numParallelDownloads) {
+  constructor (fetchers, numParallelDownloads) {
     this.onDownloadTransaction = null
     this.onFailedToDownloadTransaction = null
     this.onRetryingDownload = null
-
-    this.fetchFunction = fetchFunction
+    this.onProviderUnhealthy = null
+
+    this.providers = fetchers.map(({ name, fetch }) => ({
+      name,
+      fetch,
+      requests: 0,
+      failures: 0,
+      errorRate: 0,
+      latency: null, // ms
+      unhealthyUntil: null // ms
+    }))
     this.numParallelDownloads = numParallelDownloads
 
+    this.unhealthyErrorRate = DEFAULT_UNHEALTHY_ERROR_RATE
+    this.unhealthyMinRequests = DEFAULT_UNHEALTHY_MIN_REQUESTS
+    this.unhealthyCooldown = DEFAULT_UNHEALTHY_COOLDOWN
+
     this.queued = new Set() // txid
     this.fetching = new Set() // txid
     this.waitingToRetry = new Set() // txid
     this.attempts = new Map() // txid -> attempts
+    this.retryTimes = new Map() // txid -> unix time in seconds of the next attempt
   }
 
   stop () {
@@ -28,6 +62,7 @@ class Downloader {
     this.fetching = new Set()
     this.waitingToRetry = new Set()
     this.attempts = new Map()
+    this.retryTimes = new Map()
   }
 
   add (txid) {
@@ -50,21 +85,40 @@ class Downloader {
     this.fetching.delete(txid)
     this.waitingToRetry.delete(txid)
     this.attempts.delete(txid)
+    this.retryTimes.delete(txid)
   }
 
   has (txid) {
     return this.queued.has(txid) || this.fetching.has(txid) || this.waitingToRetry.has(txid)
   }
 
+  // Returns { state, attempts, nextRetry } where state is queued, fetching, or retrying, or null if
+  // the transaction is not being downloaded. Attempts counts failures so far.
+  status (txid) {
+    if (!this.has(txid)) return null
+    const state = this.queued.has(txid) ? 'queued' : this.fetching.has(txid) ? 'fetching' : 'retrying'
+    const attempts = this.attempts.get(txid) || 0
+    const nextRetry = this.retryTimes.get(txid) || null
+    return { state, attempts, nextRetry }
+  }
+
   remaining () {
     return this.queued.size + this.fetching.size + this.waitingToRetry.size
   }
 
+  // Returns { name, requests, failures, errorRate, latency, healthy } for each provider in order
+  health () {
+    const now = Date.now()
+    return this.providers.map(({ name, requests, failures, errorRate, latency, unhealthyUntil }) => {
+      return { name, requests, failures, errorRate, latency, healthy: !(unhealthyUntil > now) }
+    })
+  }
+
   async _fetch (txid) {
     this.fetching.add(txid)
 
     try {
-      const { hex, height, time } = await this.fetchFunction(txid)
+      const { hex, height, time } = await this._fetchFromProviders(txid)
 
       this._onFetchSucceed(txid, hex, height, time)
     } catch (e) {
@@ -74,6 +128,47 @@ class Downloader {
     }
   }
 
+  async _fetchFromProviders (txid) {
+    if (!this.providers.length) throw new Error('No API to fetch transactions')
+
+    // Healthy providers first, and unhealthy ones as a last resort
+    const now = Date.now()
+    const healthy = this.providers.filter(provider => !(provider.unhealthyUntil > now))
+    const unhealthy = this.providers.filter(provider => provider.unhealthyUntil > now)
+
+    let error = null
+
+    for (const provider of healthy.concat(unhealthy)) {
+      const start = Date.now()
+      try {
+        const result = await provider.fetch(txid)
+        this._recordRequest(provider, Date.now() - start, null)
+        return result
+      } catch (e) {
+        this._recordRequest(provider, Date.now() - start, e)
+        error = e
+      }
+    }
+
+    throw error
+  }
+
+  _recordRequest (provider, latency, error) {
+    const failed = !!error && !isNotFound(error)
+
+    provider.requests++
+    if (failed) provider.failures++
+    provider.errorRate += SMOOTHING * ((failed ? 1 : 0) - provider.errorRate)
+    if (!error) provider.latency = provider.latency === null ? latency : provider.latency + SMOOTHING * (latency - provider.latency)
+
+    if (!failed || provider.requests < this.unhealthyMinRequests) return
+    if (provider.errorRate < this.unhealthyErrorRate) return
+
+    const wasHealthy = !(provider.unhealthyUntil > Date.now())
+    provider.unhealthyUntil = Date.now() + this.unhealthyCooldown * 1000
+    if (wasHealthy && this.onProviderUnhealthy) this.onProviderUnhealthy(provider.name, error)
+  }
+
   _onFetchSucceed (txid, hex, height, time) {
     if (!this.fetching.delete(txid)) return
 
@@ -94,9 +189,11 @@ class Downloader {
 
     this.attempts.set(txid, attempts)
     this.waitingToRetry.add(txid)
+    this.retryTimes.set(txid, Math.round(Date.now() / 1000) + secondsToRetry)
 
     setTimeout(() => {
       if (this.waitingToRetry.delete(txid)) {
+        this.retryTimes.delete(txid)
         this._enqueueFetch(txid)
       }
     }, secondsToRetry * 1000)
@@ -0,0 +1,68 @@
+/**
+ * errors.js
+ *
+ * Errors returned by the server to clients as JSON
+ */
+
+// ------------------------------------------------------------------------------------------------
+// HttpError
+// ------------------------------------------------------------------------------------------------
+
+class HttpError extends Error {
+  constructor (status, code, message, details = null) {
+    super(message)
+    this.name = this.constructor.name
+    this.status = status
+    this.code = code
+    this.details = details
+  }
+
+  toJSON () {
+    return { code: this.code, message: this.message, details: this.details }
+  }
+}
+
+// ------------------------------------------------------------------------------------------------
+// Subclasses
+// ------------------------------------------------------------------------------------------------
+
+class BadRequestError extends HttpError {
+  constructor (code, message, details) { super(400, code, message, details) }
+}
+
+class UnauthorizedError extends HttpError {
+  constructor (message, details) { super(401, 'UNAUTHORIZED', message, details) }
+}
+
+class ForbiddenError extends HttpError {
+  constructor (message, details) { super(403, 'FORBIDDEN', message, details) }
+}
+
+class NotFoundError extends HttpError {
+  constructor (message, details) { super(404, 'NOT_FOUND', message, details) }
+}
+
+class ReadOnlyError extends HttpError {
+  constructor (message, details) { super(405, 'READ_ONLY', message, details) }
+}
+
+class ConflictError extends HttpError {
+  constructor (code, message, details) { super(409, code, message, details) }
+}
+
+class InternalError extends HttpError {
+  constructor (message = 'Something broke!') { super(500, 'INTERNAL_ERROR', message) }
+}
+
+// ------------------------------------------------------------------------------------------------
+
+module.exports = {
+  HttpError,
+  BadRequestError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ReadOnlyError,
+  ConflictError,
+  InternalError
+}
@@ -0,0 +1,62 @@
+/**
+ * events.js
+ *
+ * Recent indexing events that may be streamed to clients
+ */
+
+// ------------------------------------------------------------------------------------------------
+// Globals
+// ------------------------------------------------------------------------------------------------
+
+const EVENT_TYPES = [
+  'add', 'download', 'index', 'fail', 'delete', 'unindex',
+  'trust', 'untrust', 'ban', 'unban', 'reexecute', 'block', 'reorg', 'jig', 'spend'
+]
+
+// ------------------------------------------------------------------------------------------------
+// Events
+// ------------------------------------------------------------------------------------------------
+
+class Events {
+  constructor (maxEvents = 1000) {
+    this.maxEvents = maxEvents
+    // Ids continue to increase after restarts unless there were over 1000 events per millisecond
+    this.nextId = Date.now() * 1000
+    this.recent = [] // { id, type, data }
+    this.subscribers = new Set()
+  }
+
+  publish (type, data) {
+    const event = { id: this.nextId++, type, data }
+
+    this.recent.push(event)
+    if (this.recent.length > this.maxEvents) this.recent.shift()
+
+    for (const subscriber of this.subscribers) subscriber(event)
+  }
+
+  // Returns a function to unsubscribe
+  subscribe (callback) {
+    this.subscribers.add(callback)
+    return () => this.subscribers.delete(callback)
+  }
+
+  // Returns the id of the latest event, even if no events were published since starting
+  lastId () {
+    return this.nextId - 1
+  }
+
+  // Returns all remembered events after an id, oldest first, or null if events after that id
+  // were forgotten or the id is from before a restart
+  since (id) {
+    const firstId = this.recent.length ? this.recent[0].id : this.nextId
+    if (id < firstId - 1 || id > this.lastId()) return null
+    return this.recent.filter(event => event.id > id)
+  }
+}
+
+// ------------------------------------------------------------------------------------------------
+
+Events.EVENT_TYPES = EVENT_TYPES
+
+module.exports = Events
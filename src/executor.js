@@ -20,6 +20,7 @@ class Executor {
     this.onIndexed = null
     this.onExecuteFailed = null
     this.onMissingDeps = null
+    this.onExecuteFinished = null
 
     this.workers = []
     this.workerRequests = []
@@ -69,6 +70,8 @@ class Executor {
 
     const hex = this.database.getTransactionHex(txid)
     const trustlist = this.database.getTrustlist()
+    const start = process.hrtime.bigint()
+    let outcome = 'indexed'
 
     try {
       const result = await Bus.sendRequest(worker, 'execute', txid, hex, trustlist)
@@ -76,13 +79,18 @@ class Executor {
       if (this.onIndexed) this.onIndexed(txid, result)
     } catch (e) {
       if (worker.missingDeps.size) {
+        outcome = 'missing_deps'
         if (this.onMissingDeps) this.onMissingDeps(txid, Array.from(worker.missingDeps))
       } else {
+        outcome = 'failed'
         if (this.onExecuteFailed) this.onExecuteFailed(txid, e)
       }
     } finally {
       this.executing.delete(txid)
 
+      const seconds = Number(process.hrtime.bigint() - start) / 1e9
+      if (this.onExecuteFinished) this.onExecuteFinished(txid, worker.id, seconds, outcome)
+
       worker.available = true
 
       if (this.workerRequests.length) {
@@ -106,17 +114,7 @@ class Executor {
   }
 
   _onCacheGet (key) {
-    if (key.startsWith('jig://')) {
-      const state = this.database.getJigState(key.slice('jig://'.length))
-      if (state) return JSON.parse(state)
-    }
-    if (key.startsWith('berry://')) {
-      const state = this.database.getBerryState(key.slice('berry://'.length))
-      if (state) return JSON.parse(state)
-    }
-    if (key.startsWith('tx://')) {
-      return this.database.getTransactionHex(key.slice('tx://'.length))
-    }
+    return this.database.getCacheValue(key)
   }
 
   _onBlockchainFetch (worker, txid) {
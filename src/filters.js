@@ -0,0 +1,38 @@
+/**
+ * filters.js
+ *
+ * Validation of the jig filters passed in by clients
+ */
+
+const Run = require('run-sdk')
+
+// ------------------------------------------------------------------------------------------------
+// Globals
+// ------------------------------------------------------------------------------------------------
+
+const HEX64_REGEX = /^[0-9a-f]{64}$/
+
+// Jig and code locations, or berry locations with their path
+const LOCATION_REGEX = /^[0-9a-f]{64}_[od][0-9]+(\?berry=.*)?$/
+
+// ------------------------------------------------------------------------------------------------
+// Validators
+// ------------------------------------------------------------------------------------------------
+
+const isHex64 = x => HEX64_REGEX.test(x)
+
+const isLocation = x => LOCATION_REGEX.test(x)
+
+// Addresses and pubkeys that RUN can lock jigs to
+const isCommonLockOwner = owner => {
+  try {
+    new Run.util.CommonLock(owner).script()
+    return true
+  } catch (e) {
+    return false
+  }
+}
+
+// ------------------------------------------------------------------------------------------------
+
+module.exports = { isHex64, isLocation, isCommonLockOwner }
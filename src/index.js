@@ -5,14 +5,19 @@
  */
 
 const Indexer = require('./indexer')
+const Reader = require('./reader')
 const Server = require('./server')
 const {
-  API, DB, NETWORK, PORT, FETCH_LIMIT, WORKERS, MATTERCLOUD_KEY, PLANARIA_TOKEN, START_HEIGHT,
-  MEMPOOL_EXPIRATION
+  API, DB, NETWORK, PORT, FETCH_LIMIT, WORKERS, MATTERCLOUD_KEY, PLANARIA_TOKEN, NODE_RPC_URL,
+  NODE_ZMQ_URL, BLOCKS_DIR, FETCHERS, TX_DIR, START_HEIGHT, MEMPOOL_EXPIRATION, API_KEYS, PUBLIC_ROLE,
+  READONLY, READY_MAX_BLOCKS_BEHIND, READY_MAX_EXECUTION_BACKLOG, READY_REQUIRE_MEMPOOL
 } = require('./config')
 const MatterCloud = require('./mattercloud')
 const Planaria = require('./planaria')
+const BitcoinNode = require('./bitcoin-node')
+const BlockFiles = require('./block-files')
 const RunConnectFetcher = require('./run-connect')
+const TxDirectory = require('./tx-directory')
 
 // ------------------------------------------------------------------------------------------------
 // Globals
@@ -24,14 +29,37 @@ let api = null
 switch (API) {
   case 'mattercloud': api = new MatterCloud(MATTERCLOUD_KEY, logger); break
   case 'planaria': api = new Planaria(PLANARIA_TOKEN, logger); break
+  case 'node': api = new BitcoinNode(NODE_RPC_URL, NODE_ZMQ_URL, logger); break
+  case 'files': api = new BlockFiles(BLOCKS_DIR, logger); break
   case 'none': api = new RunConnectFetcher(); break
   default: throw new Error(`Unknown API: ${API}`)
 }
 
-const indexer = new Indexer(DB, api, NETWORK, FETCH_LIMIT, WORKERS, logger,
-  START_HEIGHT, MEMPOOL_EXPIRATION)
+const createFetcher = name => {
+  switch (name) {
+    case 'mattercloud': return new MatterCloud(MATTERCLOUD_KEY, logger)
+    case 'run': return new RunConnectFetcher()
+    case 'node': return new BitcoinNode(NODE_RPC_URL, NODE_ZMQ_URL, logger)
+    case 'txdir': return new TxDirectory(TX_DIR)
+    default: throw new Error(`Unknown fetcher: ${name}`)
+  }
+}
+
+// Transactions are downloaded from the API unless other fetch providers are listed
+const fetchers = FETCHERS.length ? FETCHERS.map(name => ({ name, api: createFetcher(name) })) : null
+
+// Read-only servers share a database with one indexer, so they do not crawl, download, or execute
+const indexer = READONLY
+  ? new Reader(DB, logger)
+  : new Indexer(DB, api, NETWORK, FETCH_LIMIT, WORKERS, logger, START_HEIGHT, MEMPOOL_EXPIRATION, fetchers)
+
+const readiness = {
+  maxBlocksBehind: READY_MAX_BLOCKS_BEHIND,
+  maxExecutionBacklog: READY_MAX_EXECUTION_BACKLOG,
+  requireMempool: READY_REQUIRE_MEMPOOL
+}
 
-const server = new Server(indexer, logger, PORT)
+const server = new Server(indexer, logger, PORT, API_KEYS, PUBLIC_ROLE, readiness)
 
 // ------------------------------------------------------------------------------------------------
 // main
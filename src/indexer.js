@@ -10,13 +10,18 @@ const Database = require('./database')
 const Downloader = require('./downloader')
 const Executor = require('./executor')
 const Crawler = require('./crawler')
+const Events = require('./events')
+const Metrics = require('./metrics')
+const Webhooks = require('./webhooks')
+const { parseTxid } = require('./txid')
 
 // ------------------------------------------------------------------------------------------------
 // Indexer
 // ------------------------------------------------------------------------------------------------
 
 class Indexer {
-  constructor (db, api, network, numParallelDownloads, numParallelExecutes, logger, startHeight, mempoolExpiration) {
+  // fetchers optionally lists { name, api } to download transactions from in order instead of the api
+  constructor (db, api, network, numParallelDownloads, numParallelExecutes, logger, startHeight, mempoolExpiration, fetchers) {
     this.logger = logger || {}
     this.logger.info = this.logger.info || (() => {})
     this.logger.warn = this.logger.warn || (() => {})
@@ -35,12 +40,16 @@ class Indexer {
     this.startHeight = startHeight
     this.mempoolExpiration = mempoolExpiration
 
-    const fetchFunction = this.api.fetch ? this.api.fetch.bind(this.api) : null
+    this.fetchers = fetchers || (this.api.fetch ? [{ name: 'api', api: this.api }] : [])
+    const fetchFunctions = this.fetchers.map(({ name, api }) => ({ name, fetch: api.fetch.bind(api) }))
 
     this.database = new Database(db, this.logger)
-    this.downloader = new Downloader(fetchFunction, numParallelDownloads)
+    this.downloader = new Downloader(fetchFunctions, numParallelDownloads)
     this.executor = new Executor(network, numParallelExecutes, this.database)
-    this.crawler = new Crawler(api)
+    this.crawler = new Crawler(api, this.database)
+    this.events = new Events()
+    this.metrics = new Metrics(this)
+    this.webhooks = new Webhooks(this.database, this.events, this.logger)
 
     this.database.onReadyToExecute = this._onReadyToExecute.bind(this)
     this.database.onAddTransaction = this._onAddTransaction.bind(this)
@@ -50,12 +59,17 @@ class Indexer {
     this.database.onBanTransaction = this._onBanTransaction.bind(this)
     this.database.onUnbanTransaction = this._onUnbanTransaction.bind(this)
     this.database.onUnindexTransaction = this._onUnindexTransaction.bind(this)
+    this.database.onReexecuteTransaction = this._onReexecuteTransaction.bind(this)
+    this.database.onStoreJig = this._onStoreJig.bind(this)
+    this.database.onSpendJig = this._onSpendJig.bind(this)
     this.downloader.onDownloadTransaction = this._onDownloadTransaction.bind(this)
     this.downloader.onFailedToDownloadTransaction = this._onFailedToDownloadTransaction.bind(this)
     this.downloader.onRetryingDownload = this._onRetryingDownload.bind(this)
+    this.downloader.onProviderUnhealthy = this._onProviderUnhealthy.bind(this)
     this.executor.onIndexed = this._onIndexed.bind(this)
     this.executor.onExecuteFailed = this._onExecuteFailed.bind(this)
     this.executor.onMissingDeps = this._onMissingDeps.bind(this)
+    this.executor.onExecuteFinished = this._onExecuteFinished.bind(this)
     this.crawler.onCrawlError = this._onCrawlError.bind(this)
     this.crawler.onCrawlBlockTransactions = this._onCrawlBlockTransactions.bind(this)
     this.crawler.onRewindBlocks = this._onRewindBlocks.bind(this)
@@ -66,9 +80,13 @@ class Indexer {
   async start () {
     this.executor.start()
     this.database.open()
+    this.webhooks.start()
     const height = this.database.getHeight() || this.startHeight
     const hash = this.database.getHash()
     if (this.api.connect) await this.api.connect(height, this.network)
+    for (const { api } of this._separateFetchers()) {
+      if (api.connect) await api.connect(height, this.network)
+    }
     this.database.getTransactionsToDownload().forEach(txid => this.downloader.add(txid))
     this.crawler.start(height, hash)
   }
@@ -76,26 +94,45 @@ class Indexer {
   async stop () {
     this.crawler.stop()
     if (this.api.disconnect) await this.api.disconnect()
+    for (const { api } of this._separateFetchers()) {
+      if (api.disconnect) await api.disconnect()
+    }
     this.downloader.stop()
     await this.executor.stop()
+    this.webhooks.stop()
     this.database.close()
   }
 
-  add (txid, hex = null, height = null, time = null) {
-    txid = this._parseTxid(txid)
+  // audit is { actor, ip, reason } for the audit log, which defaults to the system actor
+
+  add (txid, hex = null, height = null, time = null, audit = {}) {
+    txid = parseTxid(txid)
+    const known = this.database.hasTransaction(txid)
     this._addTransactions([txid], [hex], height, time)
+    if (!known) this.database.addAudit('add', txid, audit, 1)
   }
 
-  remove (txid) {
-    txid = this._parseTxid(txid)
+  remove (txid, audit = {}) {
+    txid = parseTxid(txid)
     this.downloader.remove(txid)
-    this.database.deleteTransaction(txid)
+    const known = this.database.hasTransaction(txid)
+    const deleted = new Set()
+    this.database.deleteTransaction(txid, deleted)
+    if (known) this.database.addAudit('remove', txid, audit, deleted.size)
   }
 
   jig (location) {
     return this.database.getJigState(location)
   }
 
+  history (location) {
+    return this.database.getJigHistory(location)
+  }
+
+  latest (origin) {
+    return this.database.getLatestJigState(origin)
+  }
+
   spends (location) {
     return this.database.getSpend(location)
   }
@@ -104,45 +141,102 @@ class Indexer {
     return this.database.getBerryState(location)
   }
 
+  states (keys) {
+    return this.database.getCacheValues(keys)
+  }
+
   tx (txid) {
-    txid = this._parseTxid(txid)
+    txid = parseTxid(txid)
     return this.database.getTransactionHex(txid)
   }
 
   time (txid) {
-    txid = this._parseTxid(txid)
+    txid = parseTxid(txid)
     return this.database.getTransactionTime(txid)
   }
 
-  trust (txid) {
-    txid = this._parseTxid(txid)
-    this.database.trust(txid)
+  trust (txid, audit = {}) {
+    txid = parseTxid(txid)
+    this.database.trust(txid, audit)
   }
 
-  untrust (txid) {
-    txid = this._parseTxid(txid)
-    this.database.untrust(txid)
+  untrust (txid, audit = {}) {
+    txid = parseTxid(txid)
+    this.database.untrust(txid, audit)
   }
 
-  ban (txid) {
-    txid = this._parseTxid(txid)
-    this.database.ban(txid)
+  ban (txid, audit = {}) {
+    txid = parseTxid(txid)
+    this.database.ban(txid, audit)
   }
 
-  unban (txid) {
-    txid = this._parseTxid(txid)
-    this.database.unban(txid)
+  unban (txid, audit = {}) {
+    txid = parseTxid(txid)
+    this.database.unban(txid, audit)
+  }
+
+  // Dry runs that show what trust, untrust, and ban would change
+
+  previewTrust (txids) {
+    txids = txids.map(parseTxid)
+    return this.database.previewTrust(txids)
+  }
+
+  previewUntrust (txid) {
+    txid = parseTxid(txid)
+    if (!this.database.isTrusted(txid)) return { unindexed: [], jigs: 0 }
+    return this.database.previewUnindex(txid)
+  }
+
+  previewBan (txid) {
+    txid = parseTxid(txid)
+    if (this.database.isBanned(txid)) return { unindexed: [], jigs: 0 }
+    return this.database.previewUnindex(txid)
+  }
+
+  reexecute (txid, descendants = false) {
+    txid = parseTxid(txid)
+    return this.database.reexecuteTransactions([txid], descendants)
+  }
+
+  reexecuteClass (origin, descendants = false) {
+    return this.database.reexecuteTransactions(this.database.getClassTransactions(origin), descendants)
+  }
+
+  reexecuteHeights (start, end, descendants = false) {
+    return this.database.reexecuteTransactions(this.database.getTransactionsInHeightRange(start, end), descendants)
   }
 
   untrusted (txid) {
     if (txid) {
-      txid = this._parseTxid(txid)
+      txid = parseTxid(txid)
       return this.database.getTransactionUntrusted(txid)
     } else {
       return this.database.getAllUntrusted()
     }
   }
 
+  // Returns what is known about a transaction, including why it failed, or undefined if unknown
+  txStatus (txid) {
+    txid = parseTxid(txid)
+    const status = this.database.getTransactionStatus(txid)
+    if (!status) return undefined
+    const { state, waitingOn, untrusted } = this.database.getTransactionState(txid)
+    const download = this.downloader.status(txid)
+    const executing = this.executor.executing.has(txid)
+    return {
+      txid,
+      state: state === 'not_downloaded' && download ? 'downloading' : state === 'queued' && executing ? 'executing' : state,
+      ...status,
+      trusted: this.database.isTrusted(txid),
+      banned: this.database.isBanned(txid),
+      failure: this.database.getFailure(txid) || null,
+      download,
+      waitingOn,
+      untrusted
+    }
+  }
+
   status () {
     return {
       height: this.crawler.height,
@@ -151,7 +245,8 @@ class Indexer {
       downloaded: this.database.getDownloadedCount(),
       downloading: this.downloader.remaining(),
       executing: this.database.getNumQueuedForExecution(),
-      unspent: this.database.getNumUnspent()
+      unspent: this.database.getNumUnspent(),
+      fetchers: this.downloader.health()
     }
   }
 
@@ -161,61 +256,94 @@ class Indexer {
     if (height) this.database.setTransactionHeight(txid, height)
     if (time) this.database.setTransactionTime(txid, time)
     this._parseAndStoreTransaction(txid, hex)
+    this.events.publish('download', { txid })
     if (this.onDownload) this.onDownload(txid)
   }
 
   _onFailedToDownloadTransaction (txid, e) {
     this.logger.error('Failed to download', txid, e.toString())
+    this.metrics.downloadFailures.inc()
     if (this.onFailToDownload) this.onFailToDownload(txid)
   }
 
   _onRetryingDownload (txid, secondsToRetry) {
     this.logger.info('Retrying download', txid, 'after', secondsToRetry, 'seconds')
+    this.metrics.downloadRetries.inc()
+  }
+
+  _onProviderUnhealthy (name, e) {
+    this.logger.warn('Fetch provider', name, 'is unhealthy:', e.toString())
   }
 
   _onIndexed (txid, result) {
     if (!this.database.hasTransaction(txid)) return // Check not re-orged
     this.logger.info(`Executed ${txid} (${this.database.getNumQueuedForExecution() - 1} remaining)`)
     this.database.storeExecutedTransaction(txid, result)
+    this.events.publish('index', { txid })
     if (this.onIndex) this.onIndex(txid)
   }
 
   _onExecuteFailed (txid, e) {
     this.logger.error(`Failed to execute ${txid}: ${e.toString()}`)
-    this.database.setTransactionExecutionFailed(txid)
+    this.database.setTransactionExecutionFailed(txid, e.message || e.toString(), e.name || null)
+    this.events.publish('fail', { txid, error: e.toString() })
     if (this.onFailToIndex) this.onFailToIndex(txid, e)
   }
 
+  _onExecuteFinished (txid, workerId, seconds, outcome) {
+    this.metrics.observeExecution(workerId, seconds, outcome)
+  }
+
   _onReadyToExecute (txid) {
     this.executor.execute(txid)
   }
 
   _onAddTransaction (txid) {
     this.logger.info('Added', txid)
+    this.events.publish('add', { txid })
   }
 
   _onDeleteTransaction (txid) {
     this.logger.info('Removed', txid)
+    this.events.publish('delete', { txid })
   }
 
   _onTrustTransaction (txid) {
     this.logger.info('Trusted', txid)
+    this.events.publish('trust', { txid })
   }
 
   _onUntrustTransaction (txid) {
     this.logger.info('Untrusted', txid)
+    this.events.publish('untrust', { txid })
+  }
+
+  _onReexecuteTransaction (txid) {
+    this.logger.info('Re-executing', txid)
+    this.events.publish('reexecute', { txid })
   }
 
   _onBanTransaction (txid) {
     this.logger.info('Banned', txid)
+    this.events.publish('ban', { txid })
   }
 
   _onUnbanTransaction (txid) {
     this.logger.info('Unbanned', txid)
+    this.events.publish('unban', { txid })
   }
 
   _onUnindexTransaction (txid) {
     this.logger.info('Unindexed', txid)
+    this.events.publish('unindex', { txid })
+  }
+
+  _onStoreJig (location, filters) {
+    this.events.publish('jig', { location, ...filters })
+  }
+
+  _onSpendJig (location, spendTxid, filters) {
+    this.events.publish('spend', { location, spendTxid, ...filters })
   }
 
   _onMissingDeps (txid, deptxids) {
@@ -228,28 +356,36 @@ class Indexer {
     this.logger.error(`Crawl error: ${e.toString()}`)
   }
 
-  _onCrawlBlockTransactions (height, hash, time, txids, txhexs) {
+  _onCrawlBlockTransactions (height, hash, prevHash, time, txids, txhexs) {
     this.logger.info(`Crawled block ${height} for ${txids.length} transactions`)
     this._addTransactions(txids, txhexs, height, time)
-    this.database.setHeightAndHash(height, hash)
+    this.database.transaction(() => {
+      this.database.addBlock(height, hash, prevHash, time || null)
+      this.database.setHeightAndHash(height, hash)
+    })
+    this.events.publish('block', { height, hash, time, txids })
     if (this.onBlock) this.onBlock(height)
   }
 
-  _onRewindBlocks (newHeight) {
-    this.logger.info(`Rewinding to block ${newHeight}`)
+  // orphaned are the hashes of the crawled blocks above the fork point
+  _onRewindBlocks (newHeight, orphaned) {
+    this.logger.info(`Rewinding to block ${newHeight} and orphaning ${orphaned.length} blocks`)
 
     const txids = this.database.getTransactionsAboveHeight(newHeight)
 
     this.database.transaction(() => {
       // Put all transactions back into the mempool. This is better than deleting them, because
       // when we assume they will just go into a different block, we don't need to re-execute.
-      // If they don't make it into a block, then they will be expired in time.
+      // If they don't make it into a block, then they will be expired in time. Transactions
+      // that are in the new blocks are confirmed again when they are crawled.
       txids.forEach(txid => this.database.unconfirmTransaction(txid))
 
-      this.database.setHeightAndHash(newHeight, null)
+      this.database.deleteBlocksAboveHeight(newHeight)
+      this.database.setHeightAndHash(newHeight, this.database.getBlockHash(newHeight))
     })
 
-    if (this.onReorg) this.onReorg(newHeight)
+    this.events.publish('reorg', { height: newHeight, orphaned })
+    if (this.onReorg) this.onReorg(newHeight, orphaned)
   }
 
   _onMempoolTransaction (txid, hex) {
@@ -346,10 +482,9 @@ class Indexer {
     }
   }
 
-  _parseTxid (txid) {
-    txid = txid.trim().toLowerCase()
-    if (!/^[0-9a-f]{64}$/.test(txid)) throw new Error('Not a txid: ' + txid)
-    return txid
+  // Fetchers other than the api, which is connected by itself
+  _separateFetchers () {
+    return this.fetchers.filter(({ api }) => api !== this.api)
   }
 }
 
@@ -72,13 +72,17 @@ class MatterCloud {
       const txhexs = response.data.tx.map(tx => tx.raw)
       const txids = txhexs.map(hex => new bsv.Transaction(hex).hash)
       const time = response.data.header.time
-      return { height, hash, time, txids, txhexs }
+      return { height, hash, prevHash, time, txids, txhexs }
     } catch (e) {
       if (e.response && e.response.status === 404) return undefined
       throw e
     }
   }
 
+  isMempoolConnected () {
+    return !!this.mempoolEvents && this.mempoolEvents.readyState === 1
+  }
+
   async listenForMempool (mempoolTxCallback) {
     this.logger.info('Listening for mempool via MatterCloud SSE')
 
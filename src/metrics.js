@@ -0,0 +1,134 @@
+/**
+ * metrics.js
+ *
+ * Prometheus metrics for indexing progress and HTTP requests
+ */
+
+const client = require('prom-client')
+
+// ------------------------------------------------------------------------------------------------
+// Globals
+// ------------------------------------------------------------------------------------------------
+
+const PREFIX = 'run_db_'
+
+const EXECUTION_BUCKETS = [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60]
+const HTTP_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]
+
+// ------------------------------------------------------------------------------------------------
+// Metrics
+// ------------------------------------------------------------------------------------------------
+
+class Metrics {
+  constructor (indexer) {
+    this.indexer = indexer
+
+    // Each indexer has its own registry so that several may run in one process
+    this.registry = new client.Registry()
+    this.contentType = this.registry.contentType
+
+    const registers = [this.registry]
+    const gauge = (name, help, collect, labelNames = []) => {
+      return new client.Gauge({ name: PREFIX + name, help, labelNames, registers, collect })
+    }
+
+    // Read-only servers have no crawler, downloader, or executor, so they report less
+
+    gauge('crawl_height', 'Block height crawled', function () {
+      const height = indexer.crawler ? indexer.crawler.height : indexer.database.db && indexer.database.getHeight()
+      if (typeof height === 'number') this.set(height)
+    })
+
+    gauge('api_tip_height', 'Block height of the network tip reported by the API', function () {
+      const height = indexer.crawler && indexer.crawler.tipHeight
+      if (typeof height === 'number') this.set(height)
+    })
+
+    gauge('downloads', 'Transactions in the download queue by state', function () {
+      if (!indexer.downloader) return
+      this.set({ state: 'queued' }, indexer.downloader.queued.size)
+      this.set({ state: 'fetching' }, indexer.downloader.fetching.size)
+      this.set({ state: 'waiting_to_retry' }, indexer.downloader.waitingToRetry.size)
+    }, ['state'])
+
+    gauge('fetch_provider_error_rate', 'Recent error rate of each fetch provider', function () {
+      if (!indexer.downloader) return
+      indexer.downloader.health().forEach(({ name, errorRate }) => this.set({ provider: name }, errorRate))
+    }, ['provider'])
+
+    gauge('fetch_provider_latency_seconds', 'Recent time to fetch a transaction from each provider', function () {
+      if (!indexer.downloader) return
+      indexer.downloader.health().forEach(({ name, latency }) => latency !== null && this.set({ provider: name }, latency / 1000))
+    }, ['provider'])
+
+    gauge('fetch_provider_healthy', 'Whether each fetch provider is tried before unhealthy ones', function () {
+      if (!indexer.downloader) return
+      indexer.downloader.health().forEach(({ name, healthy }) => this.set({ provider: name }, healthy ? 1 : 0))
+    }, ['provider'])
+
+    gauge('queued_for_execution', 'Transactions queued for execution', function () {
+      if (indexer.database.db && !indexer.database.readonly) this.set(indexer.database.getNumQueuedForExecution())
+    })
+
+    gauge('unspent', 'Unspent jig outputs', function () {
+      if (indexer.database.db) this.set(indexer.database.getNumUnspent())
+    })
+
+    gauge('sqlite_bytes', 'Size of the SQLite database', function () {
+      if (indexer.database.db) this.set(indexer.database.getSize())
+    })
+
+    this.downloadRetries = new client.Counter({
+      name: PREFIX + 'download_retries_total',
+      help: 'Download attempts that failed and will be retried',
+      registers
+    })
+
+    this.downloadFailures = new client.Counter({
+      name: PREFIX + 'download_failures_total',
+      help: 'Downloads that failed after all attempts',
+      registers
+    })
+
+    this.executionDuration = new client.Histogram({
+      name: PREFIX + 'execution_duration_seconds',
+      help: 'Time to execute a transaction by worker and outcome',
+      labelNames: ['worker', 'outcome'],
+      buckets: EXECUTION_BUCKETS,
+      registers
+    })
+
+    this.executionFailures = new client.Counter({
+      name: PREFIX + 'execution_failures_total',
+      help: 'Transactions that failed to execute by worker',
+      labelNames: ['worker'],
+      registers
+    })
+
+    this.httpDuration = new client.Histogram({
+      name: PREFIX + 'http_request_duration_seconds',
+      help: 'Time to respond to HTTP requests by route',
+      labelNames: ['method', 'route', 'status'],
+      buckets: HTTP_BUCKETS,
+      registers
+    })
+  }
+
+  observeExecution (workerId, seconds, outcome) {
+    const worker = String(workerId)
+    this.executionDuration.observe({ worker, outcome }, seconds)
+    if (outcome === 'failed') this.executionFailures.inc({ worker })
+  }
+
+  observeRequest (method, route, status, seconds) {
+    this.httpDuration.observe({ method, route, status: String(status) }, seconds)
+  }
+
+  async render () {
+    return this.registry.metrics()
+  }
+}
+
+// ------------------------------------------------------------------------------------------------
+
+module.exports = Metrics
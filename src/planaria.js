@@ -107,6 +107,10 @@ class Planaria {
     return block
   }
 
+  isMempoolConnected () {
+    return !!this.mempoolEvents && this.mempoolEvents.readyState === 1
+  }
+
   async listenForMempool (mempoolTxCallback) {
     this.logger.info('Listening for mempool via BitSocket')
 
@@ -0,0 +1,46 @@
+/**
+ * raw-block.js
+ *
+ * Finds RUN transactions in serialized blocks and transactions
+ */
+
+const bsv = require('bsv')
+
+// ------------------------------------------------------------------------------------------------
+// Globals
+// ------------------------------------------------------------------------------------------------
+
+const RUN_0_6_FILTER = '006a0372756e0105'
+const RUN_0_6_FILTER_BUFFER = Buffer.from(RUN_0_6_FILTER, 'hex')
+
+const isRunTransaction = tx => tx.outputs.some(output => output.script.toHex().startsWith(RUN_0_6_FILTER))
+
+// ------------------------------------------------------------------------------------------------
+// getRunTransactions
+// ------------------------------------------------------------------------------------------------
+
+// Returns { txids, txhexs } for the RUN transactions in a serialized block
+const getRunTransactions = buffer => {
+  const txids = []
+  const txhexs = []
+
+  // Most blocks have no RUN transactions, so check for the prefix before parsing
+  if (!buffer.includes(RUN_0_6_FILTER_BUFFER)) return { txids, txhexs }
+
+  const br = new bsv.encoding.BufferReader(buffer)
+  br.read(80)
+  const count = br.readVarintNum()
+  for (let i = 0; i < count; i++) {
+    const start = br.pos
+    const tx = new bsv.Transaction().fromBufferReader(br)
+    if (!isRunTransaction(tx)) continue
+    txids.push(tx.hash)
+    txhexs.push(buffer.slice(start, br.pos).toString('hex'))
+  }
+
+  return { txids, txhexs }
+}
+
+// ------------------------------------------------------------------------------------------------
+
+module.exports = { RUN_0_6_FILTER_BUFFER, isRunTransaction, getRunTransactions }
@@ -0,0 +1,121 @@
+/**
+ * reader.js
+ *
+ * Serves an existing database read-only while another process indexes it
+ */
+
+const Database = require('./database')
+const Events = require('./events')
+const Metrics = require('./metrics')
+const { parseTxid } = require('./txid')
+
+// ------------------------------------------------------------------------------------------------
+// Reader
+// ------------------------------------------------------------------------------------------------
+
+/**
+ * Has the same query methods as the Indexer so that the Server may use either. There is no
+ * crawler, downloader, or executor, so the Server rejects requests that would change the database.
+ */
+class Reader {
+  constructor (db, logger) {
+    this.logger = logger || {}
+    this.logger.info = this.logger.info || (() => {})
+    this.logger.warn = this.logger.warn || (() => {})
+    this.logger.error = this.logger.error || (() => {})
+    this.logger.debug = this.logger.debug || (() => {})
+
+    this.readonly = true
+    this.crawler = null
+    this.downloader = null
+
+    this.database = new Database(db, this.logger, true)
+    this.events = new Events() // Stays empty because events come from indexing
+    this.metrics = new Metrics(this)
+  }
+
+  async start () {
+    this.database.open()
+  }
+
+  async stop () {
+    this.database.close()
+  }
+
+  jig (location) {
+    return this.database.getJigState(location)
+  }
+
+  history (location) {
+    return this.database.getJigHistory(location)
+  }
+
+  latest (origin) {
+    return this.database.getLatestJigState(origin)
+  }
+
+  spends (location) {
+    return this.database.getSpend(location)
+  }
+
+  berry (location) {
+    return this.database.getBerryState(location)
+  }
+
+  states (keys) {
+    return this.database.getCacheValues(keys)
+  }
+
+  tx (txid) {
+    txid = parseTxid(txid)
+    return this.database.getTransactionHex(txid)
+  }
+
+  time (txid) {
+    txid = parseTxid(txid)
+    return this.database.getTransactionTime(txid)
+  }
+
+  untrusted (txid) {
+    if (txid) {
+      txid = parseTxid(txid)
+      return this.database.getTransactionUntrusted(txid)
+    } else {
+      return this.database.getAllUntrusted()
+    }
+  }
+
+  txStatus (txid) {
+    txid = parseTxid(txid)
+    const status = this.database.getTransactionStatus(txid)
+    if (!status) return undefined
+    const { state, waitingOn, untrusted } = this.database.getTransactionState(txid)
+    return {
+      txid,
+      state, // Without the indexer's downloader and executor, these states are less precise
+      ...status,
+      trusted: this.database.isTrusted(txid),
+      banned: this.database.isBanned(txid),
+      failure: this.database.getFailure(txid) || null,
+      download: null,
+      waitingOn,
+      untrusted
+    }
+  }
+
+  // Reports the indexer's progress from the crawl table
+  status () {
+    return {
+      height: this.database.getHeight(),
+      hash: this.database.getHash(),
+      indexed: this.database.getIndexedCount(),
+      downloaded: this.database.getDownloadedCount(),
+      unspent: this.database.getNumUnspent(),
+      readonly: true
+    }
+  }
+}
+
+// ------------------------------------------------------------------------------------------------
+
+module.exports = Reader
@@ -9,7 +9,18 @@ const morgan = require('morgan')
 const bodyParser = require('body-parser')
 const bsv = require('bsv')
 const crypto = require('crypto')
+const zlib = require('zlib')
+const { Readable, pipeline } = require('stream')
 const Run = require('run-sdk')
+const Events = require('./events')
+const Subscriptions = require('./subscriptions')
+const Database = require('./database')
+const {
+  HttpError, BadRequestError, UnauthorizedError, ForbiddenError, NotFoundError, ReadOnlyError,
+  ConflictError, InternalError
+} = require('./errors')
+const { isTxid, parseTxid } = require('./txid')
+const { isHex64, isLocation, isCommonLockOwner } = require('./filters')
 
 // ------------------------------------------------------------------------------------------------
 // Globals
@@ -17,17 +28,106 @@ const Run = require('run-sdk')
 
 const calculateScripthash = x => crypto.createHash('sha256').update(Buffer.from(x, 'hex')).digest().reverse().toString('hex')
 
+const EVENTS_KEEPALIVE_INTERVAL = 30000
+
+const invalidParam = (param, value) => new BadRequestError('INVALID_PARAMETER', `Invalid ${param}: ${value}`, { param, value })
+
+// Returns a query param as a string, undefined if missing, or throws if it fails validation
+const getQueryParam = (req, param, validate) => {
+  const value = req.query[param]
+  if (typeof value === 'undefined') return undefined
+  if (typeof value !== 'string' || (validate && !validate(value))) throw invalidParam(param, value)
+  return value
+}
+
+// Roles in increasing order of access. Each role may do everything the previous roles may do.
+const ROLES = ['none', 'read', 'write', 'admin']
+
+const hasRole = (role, required) => ROLES.indexOf(role) >= ROLES.indexOf(required)
+
+const sha256 = x => crypto.createHash('sha256').update(x).digest()
+
+// Strong ETags from the response body
+const etag = body => `"${sha256(body).toString('hex')}"`
+
+// Whether the request only previews its changes
+const isDryRun = req => getQueryParam(req, 'dryRun', x => x === 'true' || x === 'false') === 'true'
+
+// Paging cursors are opaque to clients. They encode the last row returned.
+const encodeCursor = row => Buffer.from(JSON.stringify(row)).toString('base64')
+
+// Returns the decoded row, or null if the cursor is malformed or the row fails validation
+const decodeCursor = (cursor, validate) => {
+  try {
+    const row = JSON.parse(Buffer.from(cursor, 'base64').toString())
+    return row && validate(row) ? row : null
+  } catch (e) {
+    return null
+  }
+}
+
+const DEFAULT_FAILED_LIMIT = 100
+
+const DEFAULT_TOKEN_HOLDERS_LIMIT = 100
+
+const MAX_STATES_KEYS = 1000
+
+const AUDIT_ACTIONS = ['add', 'remove', 'trust', 'untrust', 'ban', 'unban']
+const DEFAULT_AUDIT_LIMIT = 100
+
+const DEFAULT_DEPS_DEPTH = 1
+const MAX_DEPS_NODES = 1000
+const DEPS_FORMATS = ['json', 'dot']
+
+// Graphviz graph of transactions labeled by their short txid and state
+const toDot = (txid, graph) => {
+  const state = node => node.indexed ? 'indexed' : node.executed ? 'failed' : node.executable ? 'unexecuted' : 'not executable'
+  const colors = { indexed: 'green', failed: 'red', unexecuted: 'orange', 'not executable': 'gray' }
+  const lines = ['digraph deps {']
+  for (const node of graph.nodes) {
+    const style = node.txid === txid ? ' style=bold' : ''
+    lines.push(`  "${node.txid}" [label="${node.txid.slice(0, 8)}\\n${state(node)}" color=${colors[state(node)]}${style}];`)
+  }
+  for (const edge of graph.edges) lines.push(`  "${edge.up}" -> "${edge.down}";`)
+  lines.push('}')
+  return lines.join('\n') + '\n'
+}
+
+// States at a location and confirmed transactions never change, so they may be cached for a year
+const IMMUTABLE_MAX_AGE = 31536000
+
+// Unspent outputs and spends change with each block and mempool transaction
+const SHORT_MAX_AGE = 5
+
+const DEFAULT_READINESS = { maxBlocksBehind: 2, maxExecutionBacklog: 1000, requireMempool: true }
+
 // ------------------------------------------------------------------------------------------------
 // Server
 // ------------------------------------------------------------------------------------------------
 
 class Server {
-  constructor (indexer, logger, port) {
+  constructor (indexer, logger, port, apiKeys = {}, publicRole = null, readiness = {}) {
     this.indexer = indexer
     this.logger = logger
     this.port = port
+    this.apiKeys = apiKeys // key -> role
+    this.publicRole = publicRole || (Object.keys(apiKeys).length ? 'read' : 'admin')
+    // Without keys, the original trust, ban, and delete routes stay open as before. Admin
+    // routes added since then require a key unless PUBLIC_ROLE is set to admin.
+    this.openByDefault = !publicRole && !Object.keys(apiKeys).length
+    this.readiness = Object.assign({}, DEFAULT_READINESS, readiness)
+
+    Object.values(this.apiKeys).concat(this.publicRole).forEach(role => {
+      if (!ROLES.includes(role)) throw new Error(`Unknown role: ${role}`)
+    })
+
+    // Readers have the same query methods as the indexer but cannot change the database
+    this.readonly = !!indexer.readonly
+
     this.listener = null
     this.onListening = null
+    this.eventStreams = new Set() // functions to close open event streams
+    this.subscriptions = null
   }
 
   start () {
@@ -35,31 +135,90 @@ class Server {
 
     if (this.logger) app.use(morgan('tiny'))
 
+    if (this.logger && hasRole(this.publicRole, 'admin')) {
+      this.logger.warn('WARNING: Requests without an API key have admin access. Set API_KEYS or PUBLIC_ROLE to restrict them.')
+    }
+
+    app.use(this._measureRequest.bind(this))
+
     app.use(bodyParser.text({ limit: '10mb' }))
     app.use(bodyParser.json({ limit: '10mb' }))
 
-    app.get('/jig/:location', this.getJig.bind(this))
-    app.get('/berry/:location', this.getBerry.bind(this))
-    app.get('/tx/:txid', this.getTx.bind(this))
-    app.get('/time/:txid', this.getTime.bind(this))
-    app.get('/spends/:location', this.getSpends.bind(this))
-    app.get('/unspent', this.getUnspent.bind(this))
-    app.get('/trust/:txid?', this.getTrust.bind(this))
-    app.get('/ban/:txid?', this.getBan.bind(this))
-    app.get('/untrusted/:txid?', this.getUntrusted.bind(this))
-    app.get('/status', this.getStatus.bind(this))
-
-    app.post('/trust/:txid?', this.postTrust.bind(this))
-    app.post('/ban/:txid', this.postBan.bind(this))
-    app.post('/tx/:txid', this.postTx.bind(this))
-
-    app.delete('/trust/:txid', this.deleteTrust.bind(this))
-    app.delete('/ban/:txid', this.deleteBan.bind(this))
-    app.delete('/tx/:txid', this.deleteTx.bind(this))
+    const read = this._requireRole('read')
+    const write = this._requireRole('write')
+    const admin = this._requireRole('admin')
+    const restricted = this._requireRole('admin', true)
+
+    // Health checks are public so that orchestrators may call them without keys
+    app.get('/health/live', this.getHealthLive.bind(this))
+    app.get('/health/ready', this.getHealthReady.bind(this))
+
+    app.param('txid', this._parseTxidParam.bind(this))
+    app.param('location', this._parseLocationParam.bind(this))
+    app.param('origin', this._parseLocationParam.bind(this))
+    app.param('classOrigin', this._parseLocationParam.bind(this))
+
+    app.get('/jig/:location', read, this.getJig.bind(this))
+    app.get('/jig/:location/history', read, this.getJigHistory.bind(this))
+    app.get('/origin/:origin', read, this.getOrigin.bind(this))
+    app.get('/berry/:location', read, this.getBerry.bind(this))
+    app.get('/tx/:txid', read, this.getTx.bind(this))
+    app.get('/tx/:txid/status', read, this.getTxStatus.bind(this))
+    app.get('/deps/:txid', read, this.getDeps.bind(this))
+    app.get('/time/:txid', read, this.getTime.bind(this))
+    app.get('/spends/:location', read, this.getSpends.bind(this))
+    app.get('/unspent', read, this.getUnspent.bind(this))
+    app.get('/failed', read, this.getFailed.bind(this))
+    app.get('/token/:classOrigin/supply', read, this.getTokenSupply.bind(this))
+    app.get('/token/:classOrigin/holders', read, this.getTokenHolders.bind(this))
+    app.get('/token/:classOrigin/balance', read, this.getTokenBalance.bind(this))
+    app.get('/trust/:txid?', read, this.getTrust.bind(this))
+    app.get('/ban/:txid?', read, this.getBan.bind(this))
+    app.get('/untrusted/:txid?', read, this.getUntrusted.bind(this))
+    app.get('/status', read, this.getStatus.bind(this))
+    app.get('/events', read, this.getEvents.bind(this))
+    app.get('/metrics', read, this.getMetrics.bind(this))
+    app.get('/audit', restricted, this.getAudit.bind(this))
+    app.get('/webhooks', restricted, this.getWebhooks.bind(this))
+    app.get('/webhooks/dead', restricted, this.getDeadLetters.bind(this))
+    app.get('/export/jigs', read, this.getExportJigs.bind(this))
+    app.get('/export/tx', read, this.getExportTx.bind(this))
+    app.get('/export/spends', read, this.getExportSpends.bind(this))
+
+    // A POST because many keys may not fit in a URL, but it only reads
+    app.post('/states', read, this.postStates.bind(this))
+
+    // Read-only servers answer the read routes above and reject the rest
+    if (this.readonly) app.use(this._rejectWrites.bind(this))
+
+    app.post('/trust/:txid?', admin, this.postTrust.bind(this))
+    app.post('/ban/:txid', admin, this.postBan.bind(this))
+    app.post('/tx/:txid', write, this.postTx.bind(this))
+    app.post('/reexecute/:txid?', restricted, this.postReexecute.bind(this))
+    app.post('/webhooks', restricted, this.postWebhook.bind(this))
+    app.post('/webhooks/dead/:id(\\d+)', restricted, this.postDeadLetter.bind(this))
+
+    app.delete('/trust/:txid', admin, this.deleteTrust.bind(this))
+    app.delete('/ban/:txid', admin, this.deleteBan.bind(this))
+    app.delete('/tx/:txid', admin, this.deleteTx.bind(this))
+    app.delete('/webhooks/:id(\\d+)', restricted, this.deleteWebhook.bind(this))
+    app.delete('/webhooks/dead/:id(\\d+)', restricted, this.deleteDeadLetter.bind(this))
+
+    app.use((req, res, next) => {
+      next(new NotFoundError(`Unknown route: ${req.method} ${req.path}`))
+    })
 
     app.use((err, req, res, next) => {
-      if (this.logger) this.logger.error(err.stack)
-      res.status(500).send('Something broke!')
+      if (!(err instanceof HttpError)) {
+        if (err.expose && err.status < 500) {
+          // Errors from body-parser about the request body
+          err = new BadRequestError('INVALID_BODY', err.message)
+        } else {
+          if (this.logger) this.logger.error(err.stack)
+          err = new InternalError()
+        }
+      }
+      res.status(err.status).json(err)
     })
 
     this.listener = app.listen(this.port, () => {
@@ -67,10 +226,20 @@ class Server {
       this.port = this.listener.address().port
       if (this.onListening) this.onListening()
     })
+
+    this.subscriptions = new Subscriptions(this.indexer.events)
+    const verifyClient = info => {
+      const auth = this._authenticate(info.req)
+      return !!auth && hasRole(auth.role, 'read')
+    }
+    this.subscriptions.start(this.listener, '/subscribe', verifyClient)
   }
 
   stop () {
     if (!this.listener) return
+    this.eventStreams.forEach(close => close())
+    this.subscriptions.stop()
+    this.subscriptions = null
     this.listener.close()
     this.listener = null
   }
@@ -79,10 +248,33 @@ class Server {
     try {
       const state = this.indexer.jig(req.params.location)
       if (state) {
+        this._cacheImmutable(res, state)
         res.setHeader('Content-Type', 'application/json')
         res.send(state)
       } else {
-        res.status(404).send(`Not found: ${req.params.location}\n`)
+        throw new NotFoundError(`Not found: ${req.params.location}`, { location: req.params.location })
+      }
+    } catch (e) { next(e) }
+  }
+
+  async getJigHistory (req, res, next) {
+    try {
+      const history = this.indexer.history(req.params.location)
+      if (history) {
+        res.json(history)
+      } else {
+        throw new NotFoundError(`Not found: ${req.params.location}`, { location: req.params.location })
+      }
+    } catch (e) { next(e) }
+  }
+
+  async getOrigin (req, res, next) {
+    try {
+      const latest = this.indexer.latest(req.params.origin)
+      if (latest) {
+        res.json(latest)
+      } else {
+        throw new NotFoundError(`Not found: ${req.params.origin}`, { origin: req.params.origin })
       }
     } catch (e) { next(e) }
   }
@@ -91,10 +283,11 @@ class Server {
     try {
       const state = this.indexer.berry(req.params.location)
       if (state) {
+        this._cacheImmutable(res, state)
         res.setHeader('Content-Type', 'application/json')
         res.send(state)
       } else {
-        res.status(404).send(`Not found: ${req.params.location}\n`)
+        throw new NotFoundError(`Not found: ${req.params.location}`, { location: req.params.location })
       }
     } catch (e) { next(e) }
   }
@@ -103,9 +296,54 @@ class Server {
     try {
       const rawtx = this.indexer.tx(req.params.txid)
       if (rawtx) {
+        const height = this.indexer.database.getTransactionHeight(req.params.txid)
+        const confirmed = Number.isInteger(height) && height !== Database.HEIGHT_MEMPOOL
+        if (confirmed) {
+          this._cacheImmutable(res, rawtx)
+        } else {
+          // Unconfirmed transactions may be dropped, so clients must check again before reusing them
+          res.setHeader('ETag', etag(rawtx))
+          res.setHeader('Cache-Control', 'no-cache')
+        }
         res.send(rawtx)
       } else {
-        res.status(404).send(`Not found: ${req.params.txid}\n`)
+        throw new NotFoundError(`Not found: ${req.params.txid}`, { txid: req.params.txid })
+      }
+    } catch (e) { next(e) }
+  }
+
+  async getTxStatus (req, res, next) {
+    try {
+      const status = this.indexer.txStatus(req.params.txid)
+      if (status) {
+        res.json(status)
+      } else {
+        throw new NotFoundError(`Not found: ${req.params.txid}`, { txid: req.params.txid, state: 'unknown' })
+      }
+    } catch (e) { next(e) }
+  }
+
+  async getDeps (req, res, next) {
+    try {
+      const isDepth = x => /^[0-9]+$/.test(x)
+      const isFormat = x => DEPS_FORMATS.includes(x)
+
+      const depthParam = getQueryParam(req, 'depth', isDepth)
+      const depth = depthParam ? parseInt(depthParam) : DEFAULT_DEPS_DEPTH
+      const format = getQueryParam(req, 'format', isFormat) || 'json'
+
+      const txid = req.params.txid
+      if (!this.indexer.database.hasTransaction(txid)) {
+        throw new NotFoundError(`Not found: ${txid}`, { txid })
+      }
+
+      const graph = this.indexer.database.getDependencyGraph(txid, depth, MAX_DEPS_NODES)
+
+      if (format === 'dot') {
+        res.setHeader('Content-Type', 'text/vnd.graphviz')
+        res.send(toDot(txid, graph))
+      } else {
+        res.json({ txid, depth, ...graph })
       }
     } catch (e) { next(e) }
   }
@@ -116,7 +354,7 @@ class Server {
       if (time) {
         res.json(time)
       } else {
-        res.status(404).send(`Not found: ${req.params.txid}\n`)
+        throw new NotFoundError(`Not found: ${req.params.txid}`, { txid: req.params.txid })
       }
     } catch (e) { next(e) }
   }
@@ -125,38 +363,209 @@ class Server {
     try {
       const txid = this.indexer.spends(req.params.location)
       if (txid) {
+        this._cacheBriefly(res)
         res.send(txid)
       } else {
-        res.status(404).send(`Not spent: ${req.params.location}\n`)
+        throw new NotFoundError(`Not spent: ${req.params.location}`, { location: req.params.location })
       }
     } catch (e) { next(e) }
   }
 
   async getUnspent (req, res, next) {
     try {
-      const cls = req.query.class
-      const lock = req.query.lock
-      let scripthash = req.query.scripthash
-      if (req.query.address) scripthash = calculateScripthash(new Run.util.CommonLock(req.query.address).script())
-      if (req.query.pubkey) scripthash = calculateScripthash(new Run.util.CommonLock(req.query.pubkey).script())
-
-      if (cls && lock && scripthash) {
-        res.json(this.indexer.database.getAllUnspentByClassOriginAndLockOriginAndScripthash(cls, lock, scripthash))
-      } else if (cls && lock) {
-        res.json(this.indexer.database.getAllUnspentByClassOriginAndLockOrigin(cls, lock))
-      } else if (cls && scripthash) {
-        res.json(this.indexer.database.getAllUnspentByClassOriginAndScripthash(cls, scripthash))
-      } else if (lock && scripthash) {
-        res.json(this.indexer.database.getAllUnspentByLockOriginAndScripthash(lock, scripthash))
-      } else if (scripthash) {
-        res.json(this.indexer.database.getAllUnspentByScripthash(scripthash))
-      } else if (lock) {
-        res.json(this.indexer.database.getAllUnspentByLockOrigin(lock))
-      } else if (cls) {
-        res.json(this.indexer.database.getAllUnspentByClassOrigin(cls))
-      } else {
-        res.json(this.indexer.database.getAllUnspent())
+      const isBoolean = x => x === 'true' || x === 'false'
+      const isOrder = x => Database.UNSPENT_ORDERS.includes(x)
+      const isLimit = x => /^[0-9]+$/.test(x) && parseInt(x) > 0
+
+      const filters = {}
+      const cls = getQueryParam(req, 'class', isLocation)
+      const lock = getQueryParam(req, 'lock', isLocation)
+      const scripthash = getQueryParam(req, 'scripthash', isHex64)
+      const address = getQueryParam(req, 'address', isCommonLockOwner)
+      const pubkey = getQueryParam(req, 'pubkey', isCommonLockOwner)
+      if (cls) filters.class = cls
+      if (lock) filters.lock = lock
+      if (scripthash) filters.scripthash = scripthash
+      if (address) filters.scripthash = calculateScripthash(new Run.util.CommonLock(address).script())
+      if (pubkey) filters.scripthash = calculateScripthash(new Run.util.CommonLock(pubkey).script())
+
+      const count = getQueryParam(req, 'count', isBoolean) === 'true'
+      const order = getQueryParam(req, 'order', isOrder) || 'location'
+      const limitParam = getQueryParam(req, 'limit', isLimit)
+      const limit = limitParam ? parseInt(limitParam) : null
+      const cursorParam = getQueryParam(req, 'cursor')
+
+      this._cacheBriefly(res)
+
+      if (count) {
+        res.json(this.indexer.database.countUnspent(filters))
+        return
+      }
+
+      let after = null
+      if (cursorParam) {
+        after = decodeCursor(cursorParam, row => typeof row.location === 'string' &&
+          (order !== 'height' || Number.isInteger(row.height)))
+        if (!after) throw invalidParam('cursor', cursorParam)
+      }
+
+      // Without paging, return the array of locations as before
+      if (limit === null && !after) {
+        res.json(this.indexer.database.getUnspent(filters, order).map(row => row.location))
+        return
+      }
+
+      // Query one extra row to know whether there is another page
+      const rows = this.indexer.database.getUnspent(filters, order, limit === null ? null : limit + 1, after)
+      const more = limit !== null && rows.length > limit
+      if (more) rows.pop()
+      const unspent = rows.map(row => row.location)
+      const cursor = more ? encodeCursor(rows[rows.length - 1]) : null
+      res.json({ unspent, cursor })
+    } catch (e) { next(e) }
+  }
+
+  async getFailed (req, res, next) {
+    try {
+      const isLimit = x => /^[0-9]+$/.test(x) && parseInt(x) > 0
+
+      const filters = {}
+      const cls = getQueryParam(req, 'class', isLocation)
+      const deployer = getQueryParam(req, 'deployer', x => x.length > 0)
+      if (cls) filters.class = cls
+      if (deployer) filters.deployer = deployer
+
+      const limitParam = getQueryParam(req, 'limit', isLimit)
+      const limit = limitParam ? parseInt(limitParam) : DEFAULT_FAILED_LIMIT
+      const cursorParam = getQueryParam(req, 'cursor')
+
+      let after = null
+      if (cursorParam) {
+        after = decodeCursor(cursorParam, row => Number.isInteger(row.time) && typeof row.txid === 'string')
+        if (!after) throw invalidParam('cursor', cursorParam)
+      }
+
+      // Query one extra row to know whether there is another page
+      const failed = this.indexer.database.getFailed(filters, limit + 1, after)
+      const more = failed.length > limit
+      if (more) failed.pop()
+      const last = failed[failed.length - 1]
+      const cursor = more ? encodeCursor({ time: last.time, txid: last.txid }) : null
+      res.json({ failed, cursor })
+    } catch (e) { next(e) }
+  }
+
+  async getTokenSupply (req, res, next) {
+    try {
+      res.json(this.indexer.database.getTokenSupply(req.params.classOrigin))
+    } catch (e) { next(e) }
+  }
+
+  async getTokenHolders (req, res, next) {
+    try {
+      const isOrder = x => Database.TOKEN_HOLDER_ORDERS.includes(x)
+      const isLimit = x => /^[0-9]+$/.test(x) && parseInt(x) > 0
+      const isAmountSum = x => Number.isSafeInteger(x) || (typeof x === 'string' && /^-?[0-9]+$/.test(x))
+
+      const order = getQueryParam(req, 'order', isOrder) || 'desc'
+      const limitParam = getQueryParam(req, 'limit', isLimit)
+      const limit = limitParam ? parseInt(limitParam) : DEFAULT_TOKEN_HOLDERS_LIMIT
+      const cursorParam = getQueryParam(req, 'cursor')
+
+      let after = null
+      if (cursorParam) {
+        after = decodeCursor(cursorParam, row => isAmountSum(row.balance) && typeof row.scripthash === 'string')
+        if (!after) throw invalidParam('cursor', cursorParam)
       }
+
+      // Query one extra row to know whether there is another page
+      const holders = this.indexer.database.getTokenHolders(req.params.classOrigin, order, limit + 1, after)
+      const more = holders.length > limit
+      if (more) holders.pop()
+      const last = holders[holders.length - 1]
+      const cursor = more ? encodeCursor({ balance: last.balance, scripthash: last.scripthash }) : null
+      res.json({ holders, cursor })
+    } catch (e) { next(e) }
+  }
+
+  async getTokenBalance (req, res, next) {
+    try {
+      let scripthash = getQueryParam(req, 'scripthash', isHex64)
+      const address = getQueryParam(req, 'address', isCommonLockOwner)
+      const pubkey = getQueryParam(req, 'pubkey', isCommonLockOwner)
+      if (address) scripthash = calculateScripthash(new Run.util.CommonLock(address).script())
+      if (pubkey) scripthash = calculateScripthash(new Run.util.CommonLock(pubkey).script())
+
+      if (!scripthash) throw new BadRequestError('MISSING_PARAMETER', 'Missing address, pubkey, or scripthash')
+
+      res.json(this.indexer.database.getTokenBalance(req.params.classOrigin, scripthash))
+    } catch (e) { next(e) }
+  }
+
+  async getAudit (req, res, next) {
+    try {
+      const isAction = x => AUDIT_ACTIONS.includes(x)
+      const isLimit = x => /^[0-9]+$/.test(x) && parseInt(x) > 0
+
+      const filters = {}
+      const txid = getQueryParam(req, 'txid', isHex64)
+      const action = getQueryParam(req, 'action', isAction)
+      const actor = getQueryParam(req, 'actor', x => x.length > 0)
+      if (txid) filters.txid = txid
+      if (action) filters.action = action
+      if (actor) filters.actor = actor
+
+      const limitParam = getQueryParam(req, 'limit', isLimit)
+      const limit = limitParam ? parseInt(limitParam) : DEFAULT_AUDIT_LIMIT
+      const cursorParam = getQueryParam(req, 'cursor')
+
+      let after = null
+      if (cursorParam) {
+        const row = decodeCursor(cursorParam, row => Number.isInteger(row.id))
+        if (!row) throw invalidParam('cursor', cursorParam)
+        after = row.id
+      }
+
+      // Query one extra row to know whether there is another page
+      const audit = this.indexer.database.getAudit(filters, limit + 1, after)
+      const more = audit.length > limit
+      if (more) audit.pop()
+      const cursor = more ? encodeCursor({ id: audit[audit.length - 1].id }) : null
+      res.json({ audit, cursor })
+    } catch (e) { next(e) }
+  }
+
+  // Secrets are only returned when a webhook is created
+  async getWebhooks (req, res, next) {
+    try {
+      res.json(this.indexer.database.getWebhooks().map(({ secret, ...webhook }) => webhook))
+    } catch (e) { next(e) }
+  }
+
+  async getDeadLetters (req, res, next) {
+    try {
+      res.json(this.indexer.database.getDeadLetters())
+    } catch (e) { next(e) }
+  }
+
+  async getExportJigs (req, res, next) {
+    try {
+      const filters = this._parseExportFilters(req, true)
+      this._streamRows(req, res, this.indexer.database.exportJigs(filters))
+    } catch (e) { next(e) }
+  }
+
+  async getExportTx (req, res, next) {
+    try {
+      const filters = this._parseExportFilters(req, false)
+      this._streamRows(req, res, this.indexer.database.exportTransactions(filters))
+    } catch (e) { next(e) }
+  }
+
+  async getExportSpends (req, res, next) {
+    try {
+      const filters = this._parseExportFilters(req, true)
+      this._streamRows(req, res, this.indexer.database.exportSpends(filters))
     } catch (e) { next(e) }
   }
 
@@ -194,13 +603,178 @@ class Server {
     } catch (e) { next(e) }
   }
 
+  async getEvents (req, res, next) {
+    try {
+      const isTypes = x => x.split(',').filter(type => type).every(type => Events.EVENT_TYPES.includes(type))
+      const typesParam = getQueryParam(req, 'types', isTypes)
+      const types = typesParam ? typesParam.split(',').filter(type => type) : null
+
+      const lastEventId = parseInt(req.headers['last-event-id'] || req.query.lastEventId) || 0
+
+      res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive'
+      })
+      res.write('\n')
+
+      const send = event => {
+        if (types && !types.includes(event.type)) return
+        res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`)
+      }
+
+      // Replay what the client missed while disconnected, or tell it to reload if we can't
+      if (lastEventId) {
+        const missed = this.indexer.events.since(lastEventId)
+        if (missed) {
+          missed.forEach(send)
+        } else {
+          res.write(`id: ${this.indexer.events.lastId()}\nevent: reset\ndata: {}\n\n`)
+        }
+      }
+
+      const unsubscribe = this.indexer.events.subscribe(send)
+      const keepAliveTimerId = setInterval(() => res.write(': keepalive\n\n'), EVENTS_KEEPALIVE_INTERVAL)
+
+      const close = () => {
+        unsubscribe()
+        clearInterval(keepAliveTimerId)
+        this.eventStreams.delete(close)
+        res.end()
+      }
+
+      this.eventStreams.add(close)
+      req.on('close', close)
+    } catch (e) { next(e) }
+  }
+
+  async getHealthLive (req, res, next) {
+    try {
+      const live = !!this.indexer.database.db
+      res.status(live ? 200 : 503).json({ live })
+    } catch (e) { next(e) }
+  }
+
+  async getHealthReady (req, res, next) {
+    try {
+      const { crawler, database } = this.indexer
+      const { maxBlocksBehind, maxExecutionBacklog, requireMempool } = this.readiness
+
+      // Read-only servers serve whatever the indexer has stored so far
+      if (this.readonly) {
+        const ok = !!database.db
+        const height = ok ? database.getHeight() : null
+        res.status(ok ? 200 : 503).json({ ready: ok, checks: { database: { ok, height } } })
+        return
+      }
+
+      // When the API does not report its tip, the crawler is synced once it listens for mempool
+      const height = crawler.height
+      const tipHeight = crawler.tipHeight
+      const behind = typeof tipHeight === 'number' && typeof height === 'number'
+        ? Math.max(tipHeight - height, 0)
+        : (crawler.listeningForMempool ? 0 : null)
+      const sync = { ok: behind !== null && behind <= maxBlocksBehind, height, tipHeight, behind, max: maxBlocksBehind }
+
+      const connected = crawler.isMempoolConnected()
+      const mempool = { ok: connected || !requireMempool, connected }
+
+      const queued = database.db ? database.getNumQueuedForExecution() : null
+      const backlog = { ok: queued !== null && queued <= maxExecutionBacklog, queued, max: maxExecutionBacklog }
+
+      const ready = sync.ok && mempool.ok && backlog.ok
+      res.status(ready ? 200 : 503).json({ ready, checks: { sync, mempool, backlog } })
+    } catch (e) { next(e) }
+  }
+
+  async getMetrics (req, res, next) {
+    try {
+      res.set('Content-Type', this.indexer.metrics.contentType)
+      res.send(await this.indexer.metrics.render())
+    } catch (e) { next(e) }
+  }
+
+  async postStates (req, res, next) {
+    try {
+      const keys = req.body
+      if (!Array.isArray(keys) || keys.some(key => typeof key !== 'string')) {
+        throw new BadRequestError('INVALID_BODY', 'Body must be an array of cache keys')
+      }
+      if (keys.length > MAX_STATES_KEYS) {
+        throw new BadRequestError('INVALID_BODY', `Too many keys: ${keys.length} (max ${MAX_STATES_KEYS})`, { max: MAX_STATES_KEYS })
+      }
+      res.json(this.indexer.states(keys))
+    } catch (e) { next(e) }
+  }
+
+  async postWebhook (req, res, next) {
+    try {
+      const body = req.body && typeof req.body === 'object' && !Array.isArray(req.body) ? req.body : {}
+      const invalid = (field, value) => new BadRequestError('INVALID_BODY', `Invalid ${field}: ${value}`, { field, value })
+      const isString = x => typeof x === 'string' && x.length > 0
+
+      if (!isString(body.url) || !/^https?:\/\//.test(body.url)) throw invalid('url', body.url)
+      if (typeof body.secret !== 'undefined' && !isString(body.secret)) throw invalid('secret', body.secret)
+
+      const webhook = { url: body.url, secret: body.secret }
+      for (const key of ['class', 'lock']) {
+        if (typeof body[key] === 'undefined') continue
+        if (!isString(body[key]) || !isLocation(body[key])) throw invalid(key, body[key])
+        webhook[key] = body[key]
+      }
+      if (typeof body.scripthash !== 'undefined') {
+        if (!isString(body.scripthash) || !isHex64(body.scripthash)) throw invalid('scripthash', body.scripthash)
+        webhook.scripthash = body.scripthash
+      }
+      for (const key of ['address', 'pubkey']) {
+        if (typeof body[key] === 'undefined') continue
+        if (!isString(body[key]) || !isCommonLockOwner(body[key])) throw invalid(key, body[key])
+        webhook.scripthash = calculateScripthash(new Run.util.CommonLock(body[key]).script())
+      }
+      if (typeof body.events !== 'undefined') {
+        const isEvents = x => Array.isArray(x) && x.length && x.every(type => Events.EVENT_TYPES.includes(type))
+        if (!isEvents(body.events)) throw invalid('events', body.events)
+        webhook.events = body.events
+      }
+
+      if (!webhook.class && !webhook.lock && !webhook.scripthash && !webhook.events) {
+        throw new BadRequestError('MISSING_PARAMETER', 'Missing class, lock, owner, or events')
+      }
+
+      res.json(this.indexer.webhooks.add(webhook))
+    } catch (e) { next(e) }
+  }
+
+  async postDeadLetter (req, res, next) {
+    try {
+      const id = parseInt(req.params.id)
+      if (!this.indexer.webhooks.retry(id)) throw new NotFoundError(`Not found: ${id}`, { id })
+      res.send(`Retrying ${id}\n`)
+    } catch (e) { next(e) }
+  }
+
   async postTrust (req, res, next) {
     try {
+      const dryRun = isDryRun(req)
       if (Array.isArray(req.body)) {
-        req.body.forEach(txid => this.indexer.trust(txid))
+        req.body.forEach(txid => {
+          if (!isTxid(txid)) {
+            throw new BadRequestError('INVALID_TXID', `Not a txid: ${txid}`, { txid })
+          }
+        })
+        if (dryRun) {
+          res.json(this.indexer.previewTrust(req.body))
+          return
+        }
+        req.body.forEach(txid => this.indexer.trust(txid, this._audit(req)))
         res.send(`Trusted ${req.body.length} transactions\n`)
       } else {
-        this.indexer.trust(req.params.txid)
+        if (!req.params.txid) throw new BadRequestError('MISSING_TXID', 'Missing txid')
+        if (dryRun) {
+          res.json(this.indexer.previewTrust([req.params.txid]))
+          return
+        }
+        this.indexer.trust(req.params.txid, this._audit(req))
         res.send(`Trusted ${req.params.txid}\n`)
       }
     } catch (e) { next(e) }
@@ -208,7 +782,11 @@ class Server {
 
   async postBan (req, res, next) {
     try {
-      this.indexer.ban(req.params.txid)
+      if (isDryRun(req)) {
+        res.json(this.indexer.previewBan(req.params.txid))
+        return
+      }
+      this.indexer.ban(req.params.txid, this._audit(req))
       res.send(`Banned ${req.params.txid}\n`)
     } catch (e) { next(e) }
   }
@@ -219,36 +797,220 @@ class Server {
       let hex = null
       if (typeof req.body === 'string') {
         hex = req.body
-        const bsvtx = new bsv.Transaction(hex)
+        let bsvtx = null
+        try {
+          bsvtx = new bsv.Transaction(hex)
+        } catch (e) {
+          throw new BadRequestError('INVALID_RAWTX', `Invalid rawtx: ${e.message}`)
+        }
         if (!txid) txid = bsvtx.hash
-        if (txid && txid !== bsvtx.hash) throw new Error('txid does not match rawtx')
+        if (txid !== bsvtx.hash) {
+          throw new ConflictError('TXID_MISMATCH', 'txid does not match rawtx', { txid, rawtxTxid: bsvtx.hash })
+        }
       }
-      if (!txid) throw new Error('Invalid request parameters')
-      this.indexer.add(txid, hex)
+      if (!txid) throw new BadRequestError('MISSING_TXID', 'Missing txid')
+      this.indexer.add(txid, hex, null, null, this._audit(req))
       res.send(`Added ${txid}\n`)
     } catch (e) { next(e) }
   }
 
+  async postReexecute (req, res, next) {
+    try {
+      const isBoolean = x => x === 'true' || x === 'false'
+      const isHeight = x => /^[0-9]+$/.test(x)
+
+      const descendants = getQueryParam(req, 'descendants', isBoolean) === 'true'
+      const cls = getQueryParam(req, 'class', isLocation)
+      const start = getQueryParam(req, 'start', isHeight)
+      const end = getQueryParam(req, 'end', isHeight)
+
+      let txids
+      if (req.params.txid) {
+        if (!this.indexer.database.hasTransaction(req.params.txid)) {
+          throw new NotFoundError(`Not found: ${req.params.txid}`, { txid: req.params.txid })
+        }
+        txids = this.indexer.reexecute(req.params.txid, descendants)
+      } else if (cls) {
+        txids = this.indexer.reexecuteClass(cls, descendants)
+      } else if (typeof start !== 'undefined' && typeof end !== 'undefined') {
+        txids = this.indexer.reexecuteHeights(parseInt(start), parseInt(end), descendants)
+      } else {
+        throw new BadRequestError('MISSING_PARAMETER', 'Missing txid, class, or start and end heights')
+      }
+
+      res.json(txids)
+    } catch (e) { next(e) }
+  }
+
   async deleteTrust (req, res, next) {
     try {
-      this.indexer.untrust(req.params.txid)
+      if (isDryRun(req)) {
+        res.json(this.indexer.previewUntrust(req.params.txid))
+        return
+      }
+      this.indexer.untrust(req.params.txid, this._audit(req))
       res.send(`Untrusted ${req.params.txid}\n`)
     } catch (e) { next(e) }
   }
 
   async deleteBan (req, res, next) {
     try {
-      this.indexer.unban(req.params.txid)
+      this.indexer.unban(req.params.txid, this._audit(req))
       res.send(`Unbanned ${req.params.txid}\n`)
     } catch (e) { next(e) }
   }
 
+  async deleteWebhook (req, res, next) {
+    try {
+      const id = parseInt(req.params.id)
+      if (!this.indexer.webhooks.remove(id)) throw new NotFoundError(`Not found: ${id}`, { id })
+      res.send(`Removed webhook ${id}\n`)
+    } catch (e) { next(e) }
+  }
+
+  async deleteDeadLetter (req, res, next) {
+    try {
+      const id = parseInt(req.params.id)
+      if (!this.indexer.database.deleteDeadLetter(id)) throw new NotFoundError(`Not found: ${id}`, { id })
+      res.send(`Removed dead letter ${id}\n`)
+    } catch (e) { next(e) }
+  }
+
   async deleteTx (req, res, next) {
     try {
-      this.indexer.remove(req.params.txid)
+      this.indexer.remove(req.params.txid, this._audit(req))
       res.send(`Removed ${req.params.txid}\n`)
     } catch (e) { next(e) }
   }
+
+  // Who changed the database and why, for the audit log. API keys are logged by hash so that the
+  // log does not store secrets. The reason may be a query param or in a JSON body.
+  _audit (req) {
+    const actor = req.apiKey ? `key:${sha256(req.apiKey).toString('hex').slice(0, 16)}` : 'public'
+    const bodyReason = req.body && typeof req.body.reason === 'string' ? req.body.reason : null
+    const reason = getQueryParam(req, 'reason') || bodyReason
+    return { actor, ip: req.ip, reason }
+  }
+
+  _measureRequest (req, res, next) {
+    const start = process.hrtime.bigint()
+
+    res.on('finish', () => {
+      // Label by route pattern rather than path so that the number of series stays small
+      const route = req.route ? req.baseUrl + req.route.path : 'unmatched'
+      const seconds = Number(process.hrtime.bigint() - start) / 1e9
+      this.indexer.metrics.observeRequest(req.method, route, res.statusCode, seconds)
+    })
+
+    next()
+  }
+
+  _rejectWrites (req, res, next) {
+    if (req.method === 'GET' || req.method === 'HEAD') return next()
+    next(new ReadOnlyError(`Server is read-only: ${req.method} ${req.path}`))
+  }
+
+  // Returns { class, start, end, unspent } from the query params. Only jigs and spends have outputs.
+  _parseExportFilters (req, outputs) {
+    const isHeight = x => /^[0-9]+$/.test(x)
+    const isBoolean = x => x === 'true' || x === 'false'
+
+    const filters = {}
+    const start = getQueryParam(req, 'start', isHeight)
+    const end = getQueryParam(req, 'end', isHeight)
+    if (start) filters.start = parseInt(start)
+    if (end) filters.end = parseInt(end)
+    if (outputs) {
+      const cls = getQueryParam(req, 'class', isLocation)
+      if (cls) filters.class = cls
+      filters.unspent = getQueryParam(req, 'unspent', isBoolean) === 'true'
+    }
+    return filters
+  }
+
+  // Writes each row as a line of JSON, compressed if the client accepts gzip. Rows are pulled
+  // only as fast as the client reads them.
+  _streamRows (req, res, rows) {
+    const lines = Readable.from((function * () {
+      for (const row of rows) yield JSON.stringify(row) + '\n'
+    })())
+
+    res.setHeader('Content-Type', 'application/x-ndjson')
+
+    const streams = [lines]
+    if (/\bgzip\b/.test(req.headers['accept-encoding'] || '')) {
+      res.setHeader('Content-Encoding', 'gzip')
+      streams.push(zlib.createGzip())
+    }
+    streams.push(res)
+
+    pipeline(...streams, err => {
+      if (err && err.code !== 'ERR_STREAM_PREMATURE_CLOSE' && this.logger) this.logger.error(err.stack)
+    })
+  }
+
+  // Express answers If-None-Match with 304 when the ETag matches
+  _cacheImmutable (res, body) {
+    res.setHeader('ETag', etag(body))
+    res.setHeader('Cache-Control', `${this._cacheScope()}, max-age=${IMMUTABLE_MAX_AGE}, immutable`)
+  }
+
+  _cacheBriefly (res) {
+    res.setHeader('Cache-Control', `${this._cacheScope()}, max-age=${SHORT_MAX_AGE}`)
+  }
+
+  // Shared caches like CDNs should only store responses that anyone may read
+  _cacheScope () {
+    return hasRole(this.publicRole, 'read') ? 'public' : 'private'
+  }
+
+  // Restricted routes are not open to requests without a key unless PUBLIC_ROLE allows it
+  _requireRole (role, restricted = false) {
+    return (req, res, next) => {
+      const auth = this._authenticate(req, restricted)
+
+      if (!auth) {
+        next(new UnauthorizedError('Invalid API key'))
+        return
+      }
+
+      if (!hasRole(auth.role, role)) {
+        const Err = auth.key ? ForbiddenError : UnauthorizedError
+        next(new Err(`Requires ${role} role`, { role: auth.role, required: role }))
+        return
+      }
+
+      req.apiKey = auth.key
+      req.role = auth.role
+      next()
+    }
+  }
+
+  _parseTxidParam (req, res, next, txid) {
+    if (!isTxid(txid)) throw new BadRequestError('INVALID_TXID', `Not a txid: ${txid}`, { txid })
+    req.params.txid = parseTxid(txid)
+    next()
+  }
+
+  _parseLocationParam (req, res, next, location, name) {
+    if (!isLocation(location)) {
+      throw new BadRequestError('INVALID_LOCATION', `Not a location: ${location}`, { [name]: location })
+    }
+    next()
+  }
+
+  // Returns { key, role } for the request's API key, or null if the key is not valid.
+  // Requests without a key have the public role, except on restricted routes when open by default.
+  _authenticate (req, restricted = false) {
+    const authorization = req.headers.authorization || ''
+    const key = authorization.startsWith('Bearer ') ? authorization.slice('Bearer '.length) : req.headers['x-api-key']
+    if (!key) return { key: null, role: restricted && this.openByDefault ? 'write' : this.publicRole }
+
+    // Compare hashes so that the comparison takes the same time regardless of the key
+    const hash = sha256(key)
+    const match = Object.keys(this.apiKeys).find(apiKey => crypto.timingSafeEqual(sha256(apiKey), hash))
+    return match ? { key: match, role: this.apiKeys[match] } : null
+  }
 }
 
 // ------------------------------------------------------------------------------------------------
@@ -0,0 +1,121 @@
+/**
+ * subscriptions.js
+ *
+ * WebSocket subscriptions to jig changes by class, owner, or lock
+ */
+
+const WebSocket = require('ws')
+const crypto = require('crypto')
+const Run = require('run-sdk')
+const { isHex64, isLocation, isCommonLockOwner } = require('./filters')
+
+// ------------------------------------------------------------------------------------------------
+// Globals
+// ------------------------------------------------------------------------------------------------
+
+const calculateScripthash = x => crypto.createHash('sha256').update(Buffer.from(x, 'hex')).digest().reverse().toString('hex')
+
+// ------------------------------------------------------------------------------------------------
+// Subscriptions
+// ------------------------------------------------------------------------------------------------
+
+class Subscriptions {
+  constructor (events) {
+    this.events = events
+    this.wss = null
+    this.unsubscribeEvents = null
+    this.clients = new Map() // ws -> Map<id, filters>
+  }
+
+  start (httpServer, path, verifyClient) {
+    this.wss = new WebSocket.Server({ server: httpServer, path, verifyClient })
+    this.wss.on('connection', this._onConnection.bind(this))
+    this.unsubscribeEvents = this.events.subscribe(this._onEvent.bind(this))
+  }
+
+  stop () {
+    if (!this.wss) return
+    this.unsubscribeEvents()
+    this.unsubscribeEvents = null
+    for (const ws of this.clients.keys()) ws.terminate()
+    this.clients.clear()
+    this.wss.close()
+    this.wss = null
+  }
+
+  _onConnection (ws) {
+    this.clients.set(ws, new Map())
+    ws.on('message', data => this._onMessage(ws, data))
+    ws.on('close', () => this.clients.delete(ws))
+  }
+
+  _onMessage (ws, data) {
+    try {
+      const msg = JSON.parse(data)
+      const subscriptions = this.clients.get(ws)
+      if (!subscriptions) return
+
+      if (msg.action === 'subscribe') {
+        if (typeof msg.id !== 'string' || !msg.id) throw new Error('Missing subscription id')
+        subscriptions.set(msg.id, this._parseFilters(msg))
+        this._send(ws, { action: 'subscribed', id: msg.id })
+      } else if (msg.action === 'unsubscribe') {
+        subscriptions.delete(msg.id)
+        this._send(ws, { action: 'unsubscribed', id: msg.id })
+      } else {
+        throw new Error(`Unknown action: ${msg.action}`)
+      }
+    } catch (e) {
+      this._send(ws, { action: 'error', message: e.message })
+    }
+  }
+
+  // Filters are the same as GET /unspent, and at least one is required
+  _parseFilters (msg) {
+    const filters = {}
+    const getFilter = (key, validate) => {
+      const value = msg[key]
+      if (typeof value === 'undefined') return undefined
+      if (typeof value !== 'string' || !validate(value)) throw new Error(`Invalid ${key}: ${value}`)
+      return value
+    }
+
+    const cls = getFilter('class', isLocation)
+    const lock = getFilter('lock', isLocation)
+    const scripthash = getFilter('scripthash', isHex64)
+    const address = getFilter('address', isCommonLockOwner)
+    const pubkey = getFilter('pubkey', isCommonLockOwner)
+    if (cls) filters.class = cls
+    if (lock) filters.lock = lock
+    if (scripthash) filters.scripthash = scripthash
+    if (address) filters.scripthash = calculateScripthash(new Run.util.CommonLock(address).script())
+    if (pubkey) filters.scripthash = calculateScripthash(new Run.util.CommonLock(pubkey).script())
+
+    if (!Object.keys(filters).length) throw new Error('Missing class, lock, or owner')
+    return filters
+  }
+
+  _onEvent (event) {
+    if (event.type !== 'jig' && event.type !== 'spend') return
+
+    for (const [ws, subscriptions] of this.clients) {
+      for (const [id, filters] of subscriptions) {
+        if (!this._matches(filters, event.data)) continue
+        this._send(ws, { id, type: event.type, ...event.data })
+      }
+    }
+  }
+
+  _matches (filters, data) {
+    return Object.keys(filters).every(key => filters[key] === data[key])
+  }
+
+  _send (ws, msg) {
+    if (ws.readyState !== WebSocket.OPEN) return
+    ws.send(JSON.stringify(msg))
+  }
+}
+
+// ------------------------------------------------------------------------------------------------
+
+module.exports = Subscriptions
@@ -0,0 +1,28 @@
+/**
+ * tx-directory.js
+ *
+ * Fetches transactions from a local directory of <txid>.hex files
+ */
+
+const fs = require('fs')
+const path = require('path')
+
+// ------------------------------------------------------------------------------------------------
+// TxDirectory
+// ------------------------------------------------------------------------------------------------
+
+class TxDirectory {
+  constructor (dir) {
+    this.dir = dir
+  }
+
+  // Throws an ENOENT error if the transaction is not in the directory. Heights are not known.
+  async fetch (txid) {
+    const hex = (await fs.promises.readFile(path.join(this.dir, `${txid}.hex`), 'utf8')).trim()
+    return { hex, height: null, time: null }
+  }
+}
+
+// ------------------------------------------------------------------------------------------------
+
+module.exports = TxDirectory
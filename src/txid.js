@@ -0,0 +1,34 @@
+/**
+ * txid.js
+ *
+ * Validation of txids passed in by clients
+ */
+
+// ------------------------------------------------------------------------------------------------
+// Globals
+// ------------------------------------------------------------------------------------------------
+
+const TXID_REGEX = /^[0-9a-f]{64}$/
+
+// Clients may pass txids in uppercase or with surrounding whitespace
+const normalizeTxid = txid => txid.trim().toLowerCase()
+
+// ------------------------------------------------------------------------------------------------
+// isTxid
+// ------------------------------------------------------------------------------------------------
+
+const isTxid = txid => typeof txid === 'string' && TXID_REGEX.test(normalizeTxid(txid))
+
+// ------------------------------------------------------------------------------------------------
+// parseTxid
+// ------------------------------------------------------------------------------------------------
+
+// Returns the normalized txid, or throws if it is not a txid
+const parseTxid = txid => {
+  if (!isTxid(txid)) throw new Error(`Not a txid: ${txid}`)
+  return normalizeTxid(txid)
+}
+
+// ------------------------------------------------------------------------------------------------
+
+module.exports = { isTxid, parseTxid }
@@ -0,0 +1,155 @@
+/**
+ * webhooks.js
+ *
+ * Posts signed indexing events to registered URLs
+ */
+
+const axios = require('axios')
+const crypto = require('crypto')
+
+// ------------------------------------------------------------------------------------------------
+// Globals
+// ------------------------------------------------------------------------------------------------
+
+const FILTERS = ['class', 'lock', 'scripthash']
+
+// Events about jig outputs, which are matched against the filters
+const OUTPUT_EVENTS = ['jig', 'spend']
+
+const DEFAULT_MAX_ATTEMPTS = 5
+const DEFAULT_RETRY_DELAY = 2000 // ms before the first retry, doubled after each attempt
+
+const SIGNATURE_HEADER = 'X-Run-Db-Signature'
+
+// HMAC of the body so that receivers know the payload came from us
+const sign = (secret, body) => 'sha256=' + crypto.createHmac('sha256', secret).update(body).digest('hex')
+
+// ------------------------------------------------------------------------------------------------
+// Webhooks
+// ------------------------------------------------------------------------------------------------
+
+class Webhooks {
+  constructor (database, events, logger) {
+    this.database = database
+    this.events = events
+    this.logger = logger
+
+    this.onDeliver = null
+    this.onDeadLetter = null
+
+    this.maxAttempts = DEFAULT_MAX_ATTEMPTS
+    this.retryDelay = DEFAULT_RETRY_DELAY
+
+    this.webhooks = []
+    this.unsubscribeEvents = null
+    this.retries = new Map() // timer -> { webhook, payload, attempts, error }
+  }
+
+  start () {
+    this.webhooks = this.database.getWebhooks()
+    this.unsubscribeEvents = this.events.subscribe(this._onEvent.bind(this))
+  }
+
+  // Deliveries waiting to retry become dead letters so that they may be retried after restarting
+  stop () {
+    if (!this.unsubscribeEvents) return
+    this.unsubscribeEvents()
+    this.unsubscribeEvents = null
+    for (const [timer, { webhook, payload, attempts, error }] of this.retries) {
+      clearTimeout(timer)
+      this._deadLetter(webhook, payload, attempts, error)
+    }
+    this.retries.clear()
+    this.webhooks = []
+  }
+
+  // Stores a webhook { url, secret, class, lock, scripthash, events }. A secret is generated if
+  // one is not provided. Returns the webhook with its id and secret.
+  add (webhook) {
+    const secret = webhook.secret || crypto.randomBytes(32).toString('hex')
+    const stored = this.database.addWebhook({ ...webhook, secret })
+    this.webhooks.push(stored)
+    return stored
+  }
+
+  // Returns whether the webhook existed. Its pending retries are cancelled.
+  remove (id) {
+    this.webhooks = this.webhooks.filter(webhook => webhook.id !== id)
+    for (const [timer, { webhook }] of this.retries) {
+      if (webhook.id !== id) continue
+      clearTimeout(timer)
+      this.retries.delete(timer)
+    }
+    return this.database.deleteWebhook(id)
+  }
+
+  // Delivers a dead letter again. Returns false if it or its webhook does not exist.
+  retry (id) {
+    const letter = this.database.getDeadLetter(id)
+    if (!letter) return false
+    const webhook = this.webhooks.find(webhook => webhook.id === letter.webhook)
+    if (!webhook) return false
+    this.database.deleteDeadLetter(id)
+    this._deliver(webhook, letter.payload, 0)
+    return true
+  }
+
+  _onEvent (event) {
+    for (const webhook of this.webhooks) {
+      if (!this._matches(webhook, event)) continue
+      const time = Math.round(Date.now() / 1000)
+      const payload = { webhook: webhook.id, id: event.id, type: event.type, data: event.data, time }
+      this._deliver(webhook, payload, 0)
+    }
+  }
+
+  // Webhooks without event types receive jig and spend events that match all of their filters
+  _matches (webhook, event) {
+    const types = webhook.events.length ? webhook.events : OUTPUT_EVENTS
+    if (!types.includes(event.type)) return false
+    if (!OUTPUT_EVENTS.includes(event.type)) return true
+    return FILTERS.every(key => !webhook[key] || webhook[key] === event.data[key])
+  }
+
+  async _deliver (webhook, payload, attempts) {
+    const body = JSON.stringify(payload)
+    const headers = { 'Content-Type': 'application/json', [SIGNATURE_HEADER]: sign(webhook.secret, body) }
+
+    attempts++
+
+    try {
+      await axios.post(webhook.url, body, { headers })
+      if (this.onDeliver) this.onDeliver(webhook.id, payload)
+    } catch (e) {
+      const error = e.message || e.toString()
+
+      // Stopped or removed while delivering
+      if (!this.webhooks.includes(webhook)) return
+
+      if (attempts >= this.maxAttempts) {
+        this._deadLetter(webhook, payload, attempts, error)
+        return
+      }
+
+      const delay = this.retryDelay * Math.pow(2, attempts - 1)
+      this.logger.info('Retrying webhook', webhook.id, 'after', delay / 1000, 'seconds:', error)
+      const timer = setTimeout(() => {
+        this.retries.delete(timer)
+        this._deliver(webhook, payload, attempts)
+      }, delay)
+      this.retries.set(timer, { webhook, payload, attempts, error })
+    }
+  }
+
+  _deadLetter (webhook, payload, attempts, error) {
+    this.logger.warn('Failed to deliver webhook', webhook.id, 'after', attempts, 'attempts:', error)
+    this.database.addDeadLetter(webhook.id, payload, attempts, error)
+    if (this.onDeadLetter) this.onDeadLetter(webhook.id, payload)
+  }
+}
+
+// ------------------------------------------------------------------------------------------------
+
+Webhooks.SIGNATURE_HEADER = SIGNATURE_HEADER
+
+module.exports = Webhooks
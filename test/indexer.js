@@ -7,7 +7,11 @@
 const { describe, it } = require('mocha')
 const { expect } = require('chai')
 const bsv = require('bsv')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
 const Indexer = require('../src/indexer')
+const TxDirectory = require('../src/tx-directory')
 const Run = require('run-sdk')
 const { Jig } = Run
 
@@ -19,6 +23,7 @@ const fetch = txid => { return { hex: require('./txns.json')[txid] } }
 const api = { fetch }
 const indexed = (indexer, txid) => new Promise((resolve, reject) => { indexer.onIndex = x => txid === x && resolve() })
 const failed = (indexer, txid) => new Promise((resolve, reject) => { indexer.onFailToIndex = x => txid === x && resolve() })
+const downloaded = (indexer, txid) => new Promise((resolve, reject) => { indexer.onDownload = x => txid === x && resolve() })
 
 // ------------------------------------------------------------------------------------------------
 // Indexer
@@ -79,6 +84,46 @@ describe('Indexer', () => {
 
   // --------------------------------------------------------------------------
 
+  it('record failure reason', async () => {
+    const indexer = new Indexer(':memory:', api, 'main', 1, 1, null, 0, Infinity)
+    await indexer.start()
+    indexer.trust('b17a9af70ab0f46809f908b2e900e395ba40996000bf4f00e3b27a1e93280cf1')
+    indexer.trust('a5291157ab7a2d80d834bbe82c380ce3976f53990d20c62c477ca3a2ac93a7e9')
+    indexer.add('b17a9af70ab0f46809f908b2e900e395ba40996000bf4f00e3b27a1e93280cf1')
+    indexer.add('a5291157ab7a2d80d834bbe82c380ce3976f53990d20c62c477ca3a2ac93a7e9')
+    await failed(indexer, 'a5291157ab7a2d80d834bbe82c380ce3976f53990d20c62c477ca3a2ac93a7e9')
+    const failure = indexer.txStatus('a5291157ab7a2d80d834bbe82c380ce3976f53990d20c62c477ca3a2ac93a7e9').failure
+    expect(failure.error).to.equal('Cannot set mintAmount: unbound')
+    expect(failure.errorClass).to.equal('Error')
+    expect(failure.runVersion).to.equal(Run.version)
+    expect(failure.deployers).to.deep.equal(['1PytriYokKN3GpKw84L4vvrGBwUvTYzCpx'])
+    indexer.remove('a5291157ab7a2d80d834bbe82c380ce3976f53990d20c62c477ca3a2ac93a7e9')
+    expect(indexer.database.getFailed()).to.deep.equal([])
+    await indexer.stop()
+  })
+
+  // --------------------------------------------------------------------------
+
+  it('reexecute with descendants', async () => {
+    const indexer = new Indexer(':memory:', api, 'main', 1, 1, null, 0, Infinity)
+    await indexer.start()
+    indexer.add('3f9de452f0c3c96be737d42aa0941b27412211976688967adb3174ee18b04c64')
+    indexer.add('9bb02c2f34817fec181dcf3f8f7556232d3fac9ef76660326f0583d57bf0d102')
+    await indexed(indexer, '9bb02c2f34817fec181dcf3f8f7556232d3fac9ef76660326f0583d57bf0d102')
+    const txids = indexer.reexecute('3f9de452f0c3c96be737d42aa0941b27412211976688967adb3174ee18b04c64', true)
+    expect(txids).to.deep.equal([
+      '3f9de452f0c3c96be737d42aa0941b27412211976688967adb3174ee18b04c64',
+      '9bb02c2f34817fec181dcf3f8f7556232d3fac9ef76660326f0583d57bf0d102'
+    ])
+    expect(indexer.jig('9bb02c2f34817fec181dcf3f8f7556232d3fac9ef76660326f0583d57bf0d102_o1')).to.equal(undefined)
+    await indexed(indexer, '9bb02c2f34817fec181dcf3f8f7556232d3fac9ef76660326f0583d57bf0d102')
+    expect(indexer.jig('9bb02c2f34817fec181dcf3f8f7556232d3fac9ef76660326f0583d57bf0d102_o1')).not.to.equal(undefined)
+    expect(indexer.database.getTransactionStatus('3f9de452f0c3c96be737d42aa0941b27412211976688967adb3174ee18b04c64').indexed).to.equal(true)
+    await indexer.stop()
+  })
+
+  // --------------------------------------------------------------------------
+
   it('discovered berry transaction', async () => {
     const indexer = new Indexer(':memory:', api, 'main', 1, 1, null, 0, Infinity)
     await indexer.start()
@@ -173,6 +218,168 @@ describe('Indexer', () => {
     expect(indexer.database.getNumUnspent()).to.equal(0)
     await indexer.stop()
   })
+
+  // --------------------------------------------------------------------------
+
+  it('get jig history', async function () {
+    this.timeout(40000)
+    const indexer = new Indexer(':memory:', api, 'main', 1, 1, null, 0, Infinity)
+    await indexer.start()
+    indexer.add('11f27cdad53128a4eb14c8328515dfab56b16ea5a71dd26abe9e9d7488f3ab83')
+    await indexed(indexer, '11f27cdad53128a4eb14c8328515dfab56b16ea5a71dd26abe9e9d7488f3ab83')
+    const history = indexer.history('7fa1b0eb8408047e138aadf72ee0980e42afab2208181429b050ad495a384d39_o1')
+    expect(history.map(step => step.location)).to.deep.equal([
+      'ca9555f54dd44457d7c912e8eea375a8ed6d8ea1806a206b43af5c7f94ea47e7_o1',
+      '7fa1b0eb8408047e138aadf72ee0980e42afab2208181429b050ad495a384d39_o1',
+      '11f27cdad53128a4eb14c8328515dfab56b16ea5a71dd26abe9e9d7488f3ab83_o1'
+    ])
+    expect(history.map(step => step.spendTxid)).to.deep.equal([
+      '7fa1b0eb8408047e138aadf72ee0980e42afab2208181429b050ad495a384d39',
+      '11f27cdad53128a4eb14c8328515dfab56b16ea5a71dd26abe9e9d7488f3ab83',
+      null
+    ])
+    expect(history[2].state.props.damage).to.equal(9001)
+    expect(indexer.history('11f27cdad53128a4eb14c8328515dfab56b16ea5a71dd26abe9e9d7488f3ab83_o2')).to.equal(null)
+    await indexer.stop()
+  })
+
+  // --------------------------------------------------------------------------
+
+  it('get latest jig state from origin', async function () {
+    this.timeout(40000)
+    const indexer = new Indexer(':memory:', api, 'main', 1, 1, null, 0, Infinity)
+    await indexer.start()
+    indexer.add('11f27cdad53128a4eb14c8328515dfab56b16ea5a71dd26abe9e9d7488f3ab83')
+    await indexed(indexer, '11f27cdad53128a4eb14c8328515dfab56b16ea5a71dd26abe9e9d7488f3ab83')
+    const latest = indexer.latest('ca9555f54dd44457d7c912e8eea375a8ed6d8ea1806a206b43af5c7f94ea47e7_o1')
+    expect(latest.location).to.equal('11f27cdad53128a4eb14c8328515dfab56b16ea5a71dd26abe9e9d7488f3ab83_o1')
+    expect(latest.state.props.damage).to.equal(9001)
+    expect(latest.destroyed).to.equal(false)
+    indexer.ban('11f27cdad53128a4eb14c8328515dfab56b16ea5a71dd26abe9e9d7488f3ab83')
+    expect(indexer.latest('ca9555f54dd44457d7c912e8eea375a8ed6d8ea1806a206b43af5c7f94ea47e7_o1')).to.deep.equal({ location: null, state: null, destroyed: null })
+    expect(indexer.latest('11f27cdad53128a4eb14c8328515dfab56b16ea5a71dd26abe9e9d7488f3ab83_o1')).to.equal(null)
+    await indexer.stop()
+  })
+
+  // --------------------------------------------------------------------------
+
+  it('get history of destroyed jig', async () => {
+    const indexer = new Indexer(':memory:', {}, 'test', 1, 1, null, 0, Infinity)
+    const rawtx1 = '01000000016f4f66891029280028bce15768b3fdc385533b0bcc77a029add646176207e77f010000006b483045022100a76777ae759178595cb83ce9473699c9056e32faa8e0d07c2517918744fab9e90220369d7a6a2f52b5ddd9bff4ed659ef5a8e676397dac15e9c5dc6dad09e5eab85e412103ac8a61b3fb98161003daaaa63ec1983dc127f4f978a42f2eefd31a074a814345ffffffff030000000000000000fd0301006a0372756e0105004cf87b22696e223a302c22726566223a5b226e61746976653a2f2f4a6967225d2c226f7574223a5b2237373864313934336265613463353166356561313635666630346335613039323435356365386437343335623936336333613130623961343536633463623330225d2c2264656c223a5b5d2c22637265223a5b226d674671626e5254774c3155436d384a654e6e556d6b7a58665a6f3271385764364c225d2c2265786563223a5b7b226f70223a224445504c4f59222c2264617461223a5b22636c617373204120657874656e6473204a6967207b207d222c7b2264657073223a7b224a6967223a7b22246a6967223a307d7d7d5d7d5d7d11010000000000001976a914081c4c589c062b1b1d4e4b25a8b3096868059d7a88acf6def505000000001976a914146caf0030b67f3fae5d53b7c3fa7e1e6fcaaf3b88ac00000000'
+    const rawtx2 = '01000000015991661ed379a0d12a68feacdbf7776d82bcffe1761f995cf0412c5ae2d25d28010000006a47304402203776f765d6915431388110a7f4645a61bd8d2f2ab00ade0049f0da95b5455c22022074ca4b6a87891ba852416bf08b64ad3db130a0b780e2a658c451ebacbbcffbf8412103646b0e969bd3825f781f39b737bdfed1e2cd63533301317099e5ac021b4826aaffffffff010000000000000000b1006a0372756e0105004ca67b22696e223a312c22726566223a5b5d2c226f7574223a5b5d2c2264656c223a5b2265386436393434613366383765323936663237326562656437663033623133323962653262313733653732376436623431643632616365343036656434373539225d2c22637265223a5b5d2c2265786563223a5b7b226f70223a2243414c4c222c2264617461223a5b7b22246a6967223a307d2c2264657374726f79222c5b5d5d7d5d7d00000000'
+    const txid1 = new bsv.Transaction(rawtx1).hash
+    const txid2 = new bsv.Transaction(rawtx2).hash
+    await indexer.start()
+    indexer.add(txid1, rawtx1)
+    indexer.add(txid2, rawtx2)
+    indexer.trust(txid1)
+    await indexed(indexer, txid2)
+    const history = indexer.history(txid1 + '_o1')
+    expect(history.map(step => step.location)).to.deep.equal([txid1 + '_o1', txid2 + '_d0'])
+    expect(history[1].spendTxid).to.equal(null)
+    const latest = indexer.latest(txid1 + '_o1')
+    expect(latest.location).to.equal(txid2 + '_d0')
+    expect(latest.destroyed).to.equal(true)
+    await indexer.stop()
+  })
+
+  // --------------------------------------------------------------------------
+
+  it('fail over to the next fetch provider', async () => {
+    const down = { fetch: async () => { throw new Error('Service unavailable') } }
+    const fetchers = [{ name: 'down', api: down }, { name: 'up', api }]
+    const indexer = new Indexer(':memory:', {}, 'main', 1, 1, null, 0, Infinity, fetchers)
+    await indexer.start()
+    const txid = '3f9de452f0c3c96be737d42aa0941b27412211976688967adb3174ee18b04c64'
+    indexer.add(txid)
+    await indexed(indexer, txid)
+    const [downHealth, upHealth] = indexer.status().fetchers
+    expect(downHealth).to.include({ name: 'down', requests: 1, failures: 1, healthy: true })
+    expect(upHealth).to.include({ name: 'up', requests: 1, failures: 0, errorRate: 0, healthy: true })
+    expect(indexer.downloader.status(txid)).to.equal(null)
+    await indexer.stop()
+  })
+
+  // --------------------------------------------------------------------------
+
+  it('route around unhealthy fetch providers', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'run-db-test-'))
+    let downRequests = 0
+    const down = { fetch: async () => { downRequests++; throw new Error('Service unavailable') } }
+    const fetchers = [{ name: 'txdir', api: new TxDirectory(dir) }, { name: 'down', api: down }, { name: 'up', api }]
+    const indexer = new Indexer(':memory:', {}, 'main', 1, 1, null, 0, Infinity, fetchers)
+    indexer.downloader.unhealthyMinRequests = 1
+    indexer.downloader.unhealthyErrorRate = 0.1
+    await indexer.start()
+    const txid1 = '3f9de452f0c3c96be737d42aa0941b27412211976688967adb3174ee18b04c64'
+    const txid2 = '9bb02c2f34817fec181dcf3f8f7556232d3fac9ef76660326f0583d57bf0d102'
+    indexer.add(txid1)
+    await downloaded(indexer, txid1)
+    indexer.add(txid2)
+    await downloaded(indexer, txid2)
+    expect(downRequests).to.equal(1)
+    const [txdirHealth, downHealth] = indexer.status().fetchers
+    expect(txdirHealth).to.include({ failures: 0, errorRate: 0, healthy: true })
+    expect(downHealth).to.include({ requests: 1, failures: 1, healthy: false })
+    await indexer.stop()
+    fs.rmdirSync(dir, { recursive: true })
+  })
+
+  // --------------------------------------------------------------------------
+
+  it('stores the time a transaction was added', async () => {
+    const indexer = new Indexer(':memory:', api, 'main', 1, 1, null, 0, Infinity)
+    await indexer.start()
+    const txid = '3f9de452f0c3c96be737d42aa0941b27412211976688967adb3174ee18b04c64'
+    const before = Math.round(Date.now() / 1000)
+    indexer.add(txid)
+    expect(indexer.database.getTransactionTime(txid)).to.be.within(before, before + 1)
+    expect(indexer.database.getTransactionHeight(txid)).to.equal(null)
+    indexer.database.setTransactionHeight(txid, 700000)
+    expect(indexer.database.getTransactionHeight(txid)).to.equal(700000)
+    await indexer.stop()
+  })
+
+  // --------------------------------------------------------------------------
+
+  it('repairs transactions stored with their time as height', async () => {
+    const db = path.join(os.tmpdir(), `run-db-test-${process.pid}-${Date.now()}.db`)
+    const txid1 = '3f9de452f0c3c96be737d42aa0941b27412211976688967adb3174ee18b04c64'
+    const txid2 = '9bb02c2f34817fec181dcf3f8f7556232d3fac9ef76660326f0583d57bf0d102'
+    const indexer = new Indexer(db, api, 'main', 1, 1, null, 0, Infinity)
+    await indexer.start()
+    indexer.add(txid1)
+    indexer.add(txid2)
+    await indexed(indexer, txid2)
+    indexer.database.db.prepare('UPDATE tx SET height = 1600000000, time = NULL WHERE txid = ?').run(txid1)
+    indexer.database.db.prepare('UPDATE tx SET height = 700000, time = 1600000001 WHERE txid = ?').run(txid2)
+    indexer.database.db.pragma('user_version = 9')
+    await indexer.stop()
+    const reopened = new Indexer(db, api, 'main', 1, 1, null, 0, Infinity)
+    await reopened.start()
+    expect(reopened.database.getTransactionHeight(txid1)).to.equal(null)
+    expect(reopened.database.getTransactionTime(txid1)).to.equal(1600000000)
+    expect(reopened.database.getTransactionHeight(txid2)).to.equal(700000)
+    expect(reopened.database.getTransactionTime(txid2)).to.equal(1600000001)
+    await reopened.stop()
+    ;['', '-wal', '-shm'].forEach(suffix => fs.existsSync(db + suffix) && fs.unlinkSync(db + suffix))
+  })
+
+  // --------------------------------------------------------------------------
+
+  it('reads token holders from an index', async () => {
+    const indexer = new Indexer(':memory:', api, 'main', 1, 1, null, 0, Infinity)
+    await indexer.start()
+    const database = indexer.database
+    const queries = []
+    const prepareQuery = database._prepareQuery.bind(database)
+    database._prepareQuery = sql => { queries.push(sql); return prepareQuery(sql) }
+    const cls = '3a0f59e4e377a2ff657f5f2f4540e4026e2371466bc2d8a78847a09e7808bcbf_o1'
+    database.getTokenHolders(cls)
+    const plan = database.db.prepare('EXPLAIN QUERY PLAN ' + queries[0]).all({ class: cls })
+    expect(plan.map(row => row.detail).join('\n')).to.include('USING COVERING INDEX jig_class_holders_index')
+    await indexer.stop()
+  })
 })
 
 // ------------------------------------------------------------------------------------------------
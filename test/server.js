@@ -8,8 +8,19 @@ const { describe, it } = require('mocha')
 require('chai').use(require('chai-as-promised'))
 const { expect } = require('chai')
 const axios = require('axios')
+const EventSource = require('eventsource')
+const WebSocket = require('ws')
 const Indexer = require('../src/indexer')
 const Server = require('../src/server')
+const Reader = require('../src/reader')
+const Events = require('../src/events')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const zlib = require('zlib')
+const http = require('http')
+const crypto = require('crypto')
+const Run = require('run-sdk')
 const txns = require('./txns.json')
 
 // ------------------------------------------------------------------------------------------------
@@ -20,7 +31,30 @@ const fetch = async txid => { return { hex: require('./txns.json')[txid] } }
 const api = { fetch }
 const downloaded = (indexer, txid) => new Promise((resolve, reject) => { indexer.onDownload = x => txid === x && resolve() })
 const indexed = (indexer, txid) => new Promise((resolve, reject) => { indexer.onIndex = x => txid === x && resolve() })
+const failed = (indexer, txid) => new Promise((resolve, reject) => { indexer.onFailToIndex = x => txid === x && resolve() })
 const listening = (server) => new Promise((resolve, reject) => { server.onListening = () => resolve() })
+const received = (events, type) => new Promise((resolve, reject) => { events.addEventListener(type, e => resolve(e)) })
+const opened = (ws) => new Promise((resolve, reject) => { ws.on('open', resolve); ws.on('error', reject) })
+const message = (ws, type) => new Promise((resolve, reject) => {
+  ws.on('message', data => { const msg = JSON.parse(data); if (msg.type === type || msg.action === type) resolve(msg) })
+})
+
+// Deploys Token and mints 100 and 50 to A, 30 and 20 to B, and 70 to C. Then B's 30 is destroyed.
+const MINT = '3a0f59e4e377a2ff657f5f2f4540e4026e2371466bc2d8a78847a09e7808bcbf'
+const DESTROY = '9dbfa4a3ca8073a7584987a851a4c59abe0dcfc9aa417a2ff08eb4a572d7f62d'
+const TOKEN = MINT + '_o1'
+const A = 'mpW5tw4HVM6XQvbEkQ3sZ5NKDzHYSbjsor'
+const B = 'mrsTHDx2y49yKJznrJS9eYZgn2kbXQAZNY'
+const C = 'n2uSRHLZKALWMsRbQPbx3KSjp6EiKUrGPR'
+
+const indexTokens = async (indexer) => {
+  indexer.trust(MINT)
+  indexer.add(MINT)
+  indexer.add(DESTROY)
+  await indexed(indexer, DESTROY)
+}
+
+const ndjson = text => text.split('\n').filter(line => line.length).map(line => JSON.parse(line))
 
 // ------------------------------------------------------------------------------------------------
 // Server
@@ -87,6 +121,131 @@ describe('Server', () => {
     })
   })
 
+  // --------------------------------------------------------------------------
+  // dry run
+  // --------------------------------------------------------------------------
+
+  describe('dry run', () => {
+    it('previews trust without trusting', async () => {
+      const indexer = new Indexer(':memory:', api, 'test', 1, 1, null, 0, Infinity)
+      const server = new Server(indexer, null, null)
+      await indexer.start()
+      server.start()
+      await listening(server)
+      indexer.add(MINT)
+      await downloaded(indexer, MINT)
+      indexer.add(DESTROY)
+      await downloaded(indexer, DESTROY)
+      const preview = (await axios.post(`http://localhost:${server.port}/trust/${DESTROY}?dryRun=true`)).data
+      expect(preview.trusted).to.deep.equal([DESTROY, MINT])
+      expect(preview.executable.sort()).to.deep.equal([MINT, DESTROY])
+      expect(preview.jigs).to.equal(7)
+      expect(indexer.database.isTrusted(MINT)).to.equal(false)
+      expect((await axios.get(`http://localhost:${server.port}/untrusted`)).data).to.deep.equal([MINT])
+      server.stop()
+      await indexer.stop()
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('previews ban and untrust without unindexing', async () => {
+      const indexer = new Indexer(':memory:', api, 'test', 1, 1, null, 0, Infinity)
+      const server = new Server(indexer, null, null)
+      await indexer.start()
+      server.start()
+      await listening(server)
+      await indexTokens(indexer)
+      const ban = (await axios.post(`http://localhost:${server.port}/ban/${MINT}?dryRun=true`)).data
+      expect(ban).to.deep.equal({ unindexed: [MINT, DESTROY], jigs: 7 })
+      const untrust = (await axios.delete(`http://localhost:${server.port}/trust/${MINT}?dryRun=true`)).data
+      expect(untrust).to.deep.equal(ban)
+      const untrusted = (await axios.delete(`http://localhost:${server.port}/trust/${DESTROY}?dryRun=true`)).data
+      expect(untrusted).to.deep.equal({ unindexed: [], jigs: 0 })
+      expect(indexer.database.isBanned(MINT)).to.equal(false)
+      expect(indexer.database.isTrusted(MINT)).to.equal(true)
+      expect(indexer.database.getTransactionStatus(DESTROY).indexed).to.equal(true)
+      server.stop()
+      await indexer.stop()
+    })
+  })
+
+  // --------------------------------------------------------------------------
+  // audit
+  // --------------------------------------------------------------------------
+
+  describe('audit', () => {
+    const auth = { headers: { Authorization: 'Bearer adminkey' } }
+
+    it('records who changed transactions and why', async () => {
+      const indexer = new Indexer(':memory:', api, 'test', 1, 1, null, 0, Infinity)
+      const server = new Server(indexer, null, null, { adminkey: 'admin' }, 'read')
+      await indexer.start()
+      server.start()
+      await listening(server)
+      await indexTokens(indexer)
+      await axios.post(`http://localhost:${server.port}/ban/${MINT}`, { reason: 'Spam' }, auth)
+      const audit = (await axios.get(`http://localhost:${server.port}/audit`, auth)).data.audit
+      expect(audit.map(entry => [entry.action, entry.txid, entry.actor])).to.deep.equal([
+        ['ban', MINT, audit[0].actor],
+        ['add', DESTROY, 'system'],
+        ['add', MINT, 'system'],
+        ['trust', MINT, 'system']
+      ])
+      expect(audit[0].actor).to.match(/^key:[0-9a-f]{16}$/)
+      expect(audit[0].actor).not.to.include('adminkey')
+      expect(audit[0].ip).to.include('127.0.0.1')
+      expect(audit[0].reason).to.equal('Spam')
+      expect(audit[0].cascade).to.equal(2)
+      const bans = (await axios.get(`http://localhost:${server.port}/audit?action=ban&txid=${MINT}`, auth)).data.audit
+      expect(bans.length).to.equal(1)
+      const page1 = (await axios.get(`http://localhost:${server.port}/audit?limit=3`, auth)).data
+      const page2 = (await axios.get(`http://localhost:${server.port}/audit?limit=3&cursor=${page1.cursor}`, auth)).data
+      expect(page1.audit.concat(page2.audit)).to.deep.equal(audit)
+      expect(page2.cursor).to.equal(null)
+      server.stop()
+      await indexer.stop()
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('records only requests that change something', async () => {
+      const indexer = new Indexer(':memory:', api, 'test', 1, 1, null, 0, Infinity)
+      const server = new Server(indexer, null, null, { adminkey: 'admin' }, 'read')
+      await indexer.start()
+      server.start()
+      await listening(server)
+      await indexTokens(indexer)
+      await axios.delete(`http://localhost:${server.port}/ban/${MINT}`, auth)
+      await axios.post(`http://localhost:${server.port}/trust/${MINT}`, null, auth)
+      await axios.post(`http://localhost:${server.port}/ban/${MINT}`, null, auth)
+      await axios.post(`http://localhost:${server.port}/ban/${MINT}`, null, auth)
+      await axios.delete(`http://localhost:${server.port}/ban/${MINT}`, auth)
+      await axios.delete(`http://localhost:${server.port}/ban/${MINT}`, auth)
+      const audit = (await axios.get(`http://localhost:${server.port}/audit`, auth)).data.audit
+      expect(audit.map(entry => entry.action)).to.deep.equal(['unban', 'ban', 'add', 'add', 'trust'])
+      server.stop()
+      await indexer.stop()
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('requires admin', async () => {
+      const indexer = new Indexer(':memory:', api, 'test', 1, 1, null, 0, Infinity)
+      const server = new Server(indexer, null, null, { adminkey: 'admin' }, 'read')
+      await indexer.start()
+      server.start()
+      await listening(server)
+      try {
+        await axios.get(`http://localhost:${server.port}/audit`)
+        throw new Error('Expected request to fail')
+      } catch (e) {
+        expect(e.response.status).to.equal(401)
+      }
+      server.stop()
+      await indexer.stop()
+    })
+  })
+
   // --------------------------------------------------------------------------
   // get jig
   // --------------------------------------------------------------------------
@@ -126,6 +285,134 @@ describe('Server', () => {
       server.stop()
       await indexer.stop()
     })
+
+    // ------------------------------------------------------------------------
+
+    it('returns 304 if not modified', async () => {
+      const indexer = new Indexer(':memory:', api, 'main', 1, 1, null, 0, Infinity)
+      const server = new Server(indexer, null, null)
+      await indexer.start()
+      server.start()
+      await listening(server)
+      indexer.add('9bb02c2f34817fec181dcf3f8f7556232d3fac9ef76660326f0583d57bf0d102')
+      await indexed(indexer, '9bb02c2f34817fec181dcf3f8f7556232d3fac9ef76660326f0583d57bf0d102')
+      const location = '9bb02c2f34817fec181dcf3f8f7556232d3fac9ef76660326f0583d57bf0d102_o1'
+      const response = await axios.get(`http://localhost:${server.port}/jig/${location}`)
+      expect(response.headers.etag).to.match(/^"[0-9a-f]{64}"$/)
+      expect(response.headers['cache-control']).to.equal('public, max-age=31536000, immutable')
+      const options = { headers: { 'If-None-Match': response.headers.etag }, validateStatus: null }
+      const cached = await axios.get(`http://localhost:${server.port}/jig/${location}`, options)
+      expect(cached.status).to.equal(304)
+      expect(cached.data).to.equal('')
+      server.stop()
+      await indexer.stop()
+    })
+  })
+
+  // --------------------------------------------------------------------------
+  // get jig history
+  // --------------------------------------------------------------------------
+
+  describe('get jig history', () => {
+    it('returns states from origin', async function () {
+      this.timeout(40000)
+      const indexer = new Indexer(':memory:', api, 'main', 1, 1, null, 0, Infinity)
+      const server = new Server(indexer, null, null)
+      await indexer.start()
+      server.start()
+      await listening(server)
+      indexer.add('11f27cdad53128a4eb14c8328515dfab56b16ea5a71dd26abe9e9d7488f3ab83')
+      await indexed(indexer, '11f27cdad53128a4eb14c8328515dfab56b16ea5a71dd26abe9e9d7488f3ab83')
+      const location = '11f27cdad53128a4eb14c8328515dfab56b16ea5a71dd26abe9e9d7488f3ab83_o1'
+      const history = (await axios.get(`http://localhost:${server.port}/jig/${location}/history`)).data
+      expect(history.length).to.equal(3)
+      expect(history[0].location).to.equal('ca9555f54dd44457d7c912e8eea375a8ed6d8ea1806a206b43af5c7f94ea47e7_o1')
+      expect(history[2].location).to.equal(location)
+      server.stop()
+      await indexer.stop()
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('returns 404 if missing', async () => {
+      const indexer = new Indexer(':memory:', api, 'main', 1, 1, null, 0, Infinity)
+      const server = new Server(indexer, null, null)
+      await indexer.start()
+      server.start()
+      await listening(server)
+      const location = '11f27cdad53128a4eb14c8328515dfab56b16ea5a71dd26abe9e9d7488f3ab83_o1'
+      try {
+        await axios.get(`http://localhost:${server.port}/jig/${location}/history`)
+        throw new Error('Expected request to fail')
+      } catch (e) {
+        expect(e.response.status).to.equal(404)
+      }
+      server.stop()
+      await indexer.stop()
+    })
+  })
+
+  // --------------------------------------------------------------------------
+  // get origin
+  // --------------------------------------------------------------------------
+
+  describe('get origin', () => {
+    it('returns latest location and state', async function () {
+      this.timeout(40000)
+      const indexer = new Indexer(':memory:', api, 'main', 1, 1, null, 0, Infinity)
+      const server = new Server(indexer, null, null)
+      await indexer.start()
+      server.start()
+      await listening(server)
+      indexer.add('11f27cdad53128a4eb14c8328515dfab56b16ea5a71dd26abe9e9d7488f3ab83')
+      await indexed(indexer, '11f27cdad53128a4eb14c8328515dfab56b16ea5a71dd26abe9e9d7488f3ab83')
+      const origin = 'ca9555f54dd44457d7c912e8eea375a8ed6d8ea1806a206b43af5c7f94ea47e7_o1'
+      const latest = (await axios.get(`http://localhost:${server.port}/origin/${origin}`)).data
+      expect(latest.location).to.equal('11f27cdad53128a4eb14c8328515dfab56b16ea5a71dd26abe9e9d7488f3ab83_o1')
+      expect(latest.state.kind).to.equal('jig')
+      expect(latest.destroyed).to.equal(false)
+      server.stop()
+      await indexer.stop()
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('returns null location if chain is broken', async function () {
+      this.timeout(40000)
+      const indexer = new Indexer(':memory:', api, 'main', 1, 1, null, 0, Infinity)
+      const server = new Server(indexer, null, null)
+      await indexer.start()
+      server.start()
+      await listening(server)
+      indexer.add('11f27cdad53128a4eb14c8328515dfab56b16ea5a71dd26abe9e9d7488f3ab83')
+      await indexed(indexer, '11f27cdad53128a4eb14c8328515dfab56b16ea5a71dd26abe9e9d7488f3ab83')
+      indexer.ban('11f27cdad53128a4eb14c8328515dfab56b16ea5a71dd26abe9e9d7488f3ab83')
+      const origin = 'ca9555f54dd44457d7c912e8eea375a8ed6d8ea1806a206b43af5c7f94ea47e7_o1'
+      const response = await axios.get(`http://localhost:${server.port}/origin/${origin}`)
+      expect(response.status).to.equal(200)
+      expect(response.data).to.deep.equal({ location: null, state: null, destroyed: null })
+      server.stop()
+      await indexer.stop()
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('returns 404 if missing', async () => {
+      const indexer = new Indexer(':memory:', api, 'main', 1, 1, null, 0, Infinity)
+      const server = new Server(indexer, null, null)
+      await indexer.start()
+      server.start()
+      await listening(server)
+      const origin = 'ca9555f54dd44457d7c912e8eea375a8ed6d8ea1806a206b43af5c7f94ea47e7_o1'
+      try {
+        await axios.get(`http://localhost:${server.port}/origin/${origin}`)
+        throw new Error('Expected request to fail')
+      } catch (e) {
+        expect(e.response.status).to.equal(404)
+      }
+      server.stop()
+      await indexer.stop()
+    })
   })
 
   // --------------------------------------------------------------------------
@@ -228,14 +515,35 @@ describe('Server', () => {
       server.stop()
       await indexer.stop()
     })
+
+    // ------------------------------------------------------------------------
+
+    it('caches only confirmed transactions forever', async () => {
+      const indexer = new Indexer(':memory:', api, 'main', 1, 1, null, 0, Infinity)
+      const server = new Server(indexer, null, null)
+      await indexer.start()
+      server.start()
+      await listening(server)
+      const txid = '9bb02c2f34817fec181dcf3f8f7556232d3fac9ef76660326f0583d57bf0d102'
+      indexer.add(txid)
+      await downloaded(indexer, txid)
+      const unconfirmed = await axios.get(`http://localhost:${server.port}/tx/${txid}`)
+      expect(unconfirmed.headers['cache-control']).to.equal('no-cache')
+      indexer.add(txid, null, 680000)
+      const confirmed = await axios.get(`http://localhost:${server.port}/tx/${txid}`)
+      expect(confirmed.headers['cache-control']).to.equal('public, max-age=31536000, immutable')
+      expect(confirmed.headers.etag).to.equal(unconfirmed.headers.etag)
+      server.stop()
+      await indexer.stop()
+    })
   })
 
   // --------------------------------------------------------------------------
-  // get unspent
+  // post states
   // --------------------------------------------------------------------------
 
-  describe('get unspent', () => {
-    it('query all unspent', async () => {
+  describe('post states', () => {
+    it('returns jig states and transactions by cache key', async () => {
       const indexer = new Indexer(':memory:', api, 'main', 1, 1, null, 0, Infinity)
       const server = new Server(indexer, null, null)
       await indexer.start()
@@ -243,28 +551,1329 @@ describe('Server', () => {
       await listening(server)
       indexer.add('9bb02c2f34817fec181dcf3f8f7556232d3fac9ef76660326f0583d57bf0d102')
       await indexed(indexer, '9bb02c2f34817fec181dcf3f8f7556232d3fac9ef76660326f0583d57bf0d102')
-      const unspent = (await axios.get(`http://localhost:${server.port}/unspent`)).data
-      expect(unspent.length).to.equal(3)
-      expect(unspent.includes('3f9de452f0c3c96be737d42aa0941b27412211976688967adb3174ee18b04c64_o1')).to.equal(true)
-      expect(unspent.includes('3f9de452f0c3c96be737d42aa0941b27412211976688967adb3174ee18b04c64_o2')).to.equal(true)
-      expect(unspent.includes('9bb02c2f34817fec181dcf3f8f7556232d3fac9ef76660326f0583d57bf0d102_o1')).to.equal(true)
+      const keys = [
+        'jig://9bb02c2f34817fec181dcf3f8f7556232d3fac9ef76660326f0583d57bf0d102_o1',
+        'jig://3f9de452f0c3c96be737d42aa0941b27412211976688967adb3174ee18b04c64_o1',
+        'tx://9bb02c2f34817fec181dcf3f8f7556232d3fac9ef76660326f0583d57bf0d102',
+        'jig://1111111111111111111111111111111111111111111111111111111111111111_o1'
+      ]
+      const states = (await axios.post(`http://localhost:${server.port}/states`, keys)).data
+      expect(Object.keys(states)).to.deep.equal(keys.slice(0, 3))
+      expect(states[keys[0]]).to.deep.equal(JSON.parse(indexer.jig('9bb02c2f34817fec181dcf3f8f7556232d3fac9ef76660326f0583d57bf0d102_o1')))
+      expect(states[keys[2]]).to.equal(txns['9bb02c2f34817fec181dcf3f8f7556232d3fac9ef76660326f0583d57bf0d102'])
       server.stop()
       await indexer.stop()
     })
 
     // ------------------------------------------------------------------------
 
-    it('query unspent by address', async () => {
+    it('returns 400 if body is not an array of keys', async () => {
       const indexer = new Indexer(':memory:', api, 'main', 1, 1, null, 0, Infinity)
       const server = new Server(indexer, null, null)
       await indexer.start()
       server.start()
       await listening(server)
-      indexer.add('9bb02c2f34817fec181dcf3f8f7556232d3fac9ef76660326f0583d57bf0d102')
-      await indexed(indexer, '9bb02c2f34817fec181dcf3f8f7556232d3fac9ef76660326f0583d57bf0d102')
-      const address = '1Kc8XRNryDycwvfEQiFF2TZwD1CVhgwGy2'
-      const unspent = (await axios.get(`http://localhost:${server.port}/unspent?address=${address}`)).data
-      expect(unspent.length).to.equal(3)
+      try {
+        await axios.post(`http://localhost:${server.port}/states`, { key: 'jig://abc' })
+        throw new Error('Expected request to fail')
+      } catch (e) {
+        expect(e.response.status).to.equal(400)
+        expect(e.response.data.code).to.equal('INVALID_BODY')
+      }
+      server.stop()
+      await indexer.stop()
+    })
+  })
+
+  // --------------------------------------------------------------------------
+  // get tx status
+  // --------------------------------------------------------------------------
+
+  describe('get tx status', () => {
+    it('returns failure reason', async () => {
+      const indexer = new Indexer(':memory:', api, 'main', 1, 1, null, 0, Infinity)
+      const server = new Server(indexer, null, null)
+      await indexer.start()
+      server.start()
+      await listening(server)
+      indexer.trust('b17a9af70ab0f46809f908b2e900e395ba40996000bf4f00e3b27a1e93280cf1')
+      indexer.trust('a5291157ab7a2d80d834bbe82c380ce3976f53990d20c62c477ca3a2ac93a7e9')
+      indexer.add('b17a9af70ab0f46809f908b2e900e395ba40996000bf4f00e3b27a1e93280cf1')
+      indexer.add('a5291157ab7a2d80d834bbe82c380ce3976f53990d20c62c477ca3a2ac93a7e9')
+      await failed(indexer, 'a5291157ab7a2d80d834bbe82c380ce3976f53990d20c62c477ca3a2ac93a7e9')
+      const status = (await axios.get(`http://localhost:${server.port}/tx/a5291157ab7a2d80d834bbe82c380ce3976f53990d20c62c477ca3a2ac93a7e9/status`)).data
+      expect(status.state).to.equal('failed')
+      expect(status.downloaded).to.equal(true)
+      expect(status.executed).to.equal(true)
+      expect(status.indexed).to.equal(false)
+      expect(status.failure.error).to.equal('Cannot set mintAmount: unbound')
+      expect(status.failure.errorClass).to.equal('Error')
+      expect(status.failure.runVersion).to.equal(Run.version)
+      expect(status.failure.classes).to.deep.equal(['b17a9af70ab0f46809f908b2e900e395ba40996000bf4f00e3b27a1e93280cf1_o1'])
+      const indexedStatus = (await axios.get(`http://localhost:${server.port}/tx/b17a9af70ab0f46809f908b2e900e395ba40996000bf4f00e3b27a1e93280cf1/status`)).data
+      expect(indexedStatus.state).to.equal('indexed')
+      expect(indexedStatus.indexed).to.equal(true)
+      expect(indexedStatus.failure).to.equal(null)
+      server.stop()
+      await indexer.stop()
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('returns 404 if missing', async () => {
+      const indexer = new Indexer(':memory:', api, 'main', 1, 1, null, 0, Infinity)
+      const server = new Server(indexer, null, null)
+      await indexer.start()
+      server.start()
+      await listening(server)
+      const txid = '9bb02c2f34817fec181dcf3f8f7556232d3fac9ef76660326f0583d57bf0d102'
+      await expect(axios.get(`http://localhost:${server.port}/tx/${txid}/status`)).to.be.rejected
+      try {
+        await axios.get(`http://localhost:${server.port}/tx/${txid}/status`)
+      } catch (e) {
+        expect(e.response.status).to.equal(404)
+        expect(e.response.data.details.state).to.equal('unknown')
+      }
+      server.stop()
+      await indexer.stop()
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('explains untrusted transactions', async () => {
+      const indexer = new Indexer(':memory:', api, 'main', 1, 1, null, 0, Infinity)
+      const server = new Server(indexer, null, null)
+      await indexer.start()
+      server.start()
+      await listening(server)
+      const deployTxid = 'b17a9af70ab0f46809f908b2e900e395ba40996000bf4f00e3b27a1e93280cf1'
+      const txid = 'a5291157ab7a2d80d834bbe82c380ce3976f53990d20c62c477ca3a2ac93a7e9'
+      indexer.untrust(deployTxid)
+      indexer.add(txid)
+      await downloaded(indexer, deployTxid)
+      const status = (await axios.get(`http://localhost:${server.port}/tx/${txid}/status`)).data
+      expect(status.state).to.equal('untrusted')
+      expect(status.waitingOn).to.deep.equal([deployTxid])
+      expect(status.untrusted.sort()).to.deep.equal([txid, deployTxid])
+      expect(status.download).to.equal(null)
+      const deployStatus = (await axios.get(`http://localhost:${server.port}/tx/${deployTxid}/status`)).data
+      expect(deployStatus.state).to.equal('untrusted')
+      expect(deployStatus.waitingOn).to.deep.equal([])
+      server.stop()
+      await indexer.stop()
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('explains download retries', async () => {
+      const fetch = async txid => { throw new Error('Unavailable') }
+      const indexer = new Indexer(':memory:', { fetch }, 'main', 1, 1, null, 0, Infinity)
+      const server = new Server(indexer, null, null)
+      await indexer.start()
+      server.start()
+      await listening(server)
+      const txid = '9bb02c2f34817fec181dcf3f8f7556232d3fac9ef76660326f0583d57bf0d102'
+      const downloadFailed = new Promise((resolve, reject) => { indexer.onFailToDownload = resolve })
+      indexer.add(txid)
+      await downloadFailed
+      const status = (await axios.get(`http://localhost:${server.port}/tx/${txid}/status`)).data
+      expect(status.state).to.equal('downloading')
+      expect(status.download.state).to.equal('retrying')
+      expect(status.download.attempts).to.equal(1)
+      expect(status.download.nextRetry).to.be.above(Math.round(Date.now() / 1000))
+      server.stop()
+      await indexer.stop()
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('reports when an unconfirmed transaction was added', async () => {
+      const fetch = async txid => { throw new Error('Unavailable') }
+      const indexer = new Indexer(':memory:', { fetch }, 'main', 1, 1, null, 0, Infinity)
+      const server = new Server(indexer, null, null)
+      await indexer.start()
+      server.start()
+      await listening(server)
+      const txid = '9bb02c2f34817fec181dcf3f8f7556232d3fac9ef76660326f0583d57bf0d102'
+      const before = Math.round(Date.now() / 1000)
+      indexer.add(txid)
+      const status = (await axios.get(`http://localhost:${server.port}/tx/${txid}/status`)).data
+      expect(status.height).to.equal(null)
+      expect(status.time).to.be.within(before, before + 1)
+      server.stop()
+      await indexer.stop()
+    })
+  })
+
+  // --------------------------------------------------------------------------
+  // get deps
+  // --------------------------------------------------------------------------
+
+  describe('get deps', () => {
+    it('returns upstream and downstream graph', async () => {
+      const indexer = new Indexer(':memory:', api, 'main', 1, 1, null, 0, Infinity)
+      const server = new Server(indexer, null, null)
+      await indexer.start()
+      server.start()
+      await listening(server)
+      const deployTxid = 'b17a9af70ab0f46809f908b2e900e395ba40996000bf4f00e3b27a1e93280cf1'
+      const txid = 'a5291157ab7a2d80d834bbe82c380ce3976f53990d20c62c477ca3a2ac93a7e9'
+      indexer.trust(txid)
+      indexer.add(txid)
+      await failed(indexer, txid)
+      const upstream = (await axios.get(`http://localhost:${server.port}/deps/${txid}`)).data
+      expect(upstream.depth).to.equal(1)
+      expect(upstream.nodes.map(node => [node.txid, node.distance])).to.deep.equal([[txid, 0], [deployTxid, -1]])
+      expect(upstream.nodes[1].indexed).to.equal(true)
+      expect(upstream.nodes[1].hasCode).to.equal(true)
+      expect(upstream.edges).to.deep.equal([{ up: deployTxid, down: txid }])
+      expect(upstream.truncated).to.equal(false)
+      const downstream = (await axios.get(`http://localhost:${server.port}/deps/${deployTxid}?depth=0`)).data
+      expect(downstream.nodes.length).to.equal(1)
+      const dot = (await axios.get(`http://localhost:${server.port}/deps/${deployTxid}?format=dot`)).data
+      expect(dot.startsWith('digraph deps {')).to.equal(true)
+      expect(dot).to.include(`"${deployTxid}" -> "${txid}";`)
+      expect(dot).to.include('failed')
+      server.stop()
+      await indexer.stop()
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('returns 404 if missing', async () => {
+      const indexer = new Indexer(':memory:', api, 'main', 1, 1, null, 0, Infinity)
+      const server = new Server(indexer, null, null)
+      await indexer.start()
+      server.start()
+      await listening(server)
+      const txid = '9bb02c2f34817fec181dcf3f8f7556232d3fac9ef76660326f0583d57bf0d102'
+      try {
+        await axios.get(`http://localhost:${server.port}/deps/${txid}`)
+        throw new Error('Expected request to fail')
+      } catch (e) {
+        expect(e.response.status).to.equal(404)
+      }
+      server.stop()
+      await indexer.stop()
+    })
+  })
+
+  // --------------------------------------------------------------------------
+  // get failed
+  // --------------------------------------------------------------------------
+
+  describe('get failed', () => {
+    it('query failures by class and deployer', async () => {
+      const indexer = new Indexer(':memory:', api, 'main', 1, 1, null, 0, Infinity)
+      const server = new Server(indexer, null, null)
+      await indexer.start()
+      server.start()
+      await listening(server)
+      indexer.trust('b17a9af70ab0f46809f908b2e900e395ba40996000bf4f00e3b27a1e93280cf1')
+      indexer.trust('a5291157ab7a2d80d834bbe82c380ce3976f53990d20c62c477ca3a2ac93a7e9')
+      indexer.add('b17a9af70ab0f46809f908b2e900e395ba40996000bf4f00e3b27a1e93280cf1')
+      indexer.add('a5291157ab7a2d80d834bbe82c380ce3976f53990d20c62c477ca3a2ac93a7e9')
+      await failed(indexer, 'a5291157ab7a2d80d834bbe82c380ce3976f53990d20c62c477ca3a2ac93a7e9')
+      const all = (await axios.get(`http://localhost:${server.port}/failed`)).data
+      expect(all.failed.map(failure => failure.txid)).to.deep.equal(['a5291157ab7a2d80d834bbe82c380ce3976f53990d20c62c477ca3a2ac93a7e9'])
+      expect(all.cursor).to.equal(null)
+      const cls = 'b17a9af70ab0f46809f908b2e900e395ba40996000bf4f00e3b27a1e93280cf1_o1'
+      expect((await axios.get(`http://localhost:${server.port}/failed?class=${cls}`)).data.failed.length).to.equal(1)
+      expect((await axios.get(`http://localhost:${server.port}/failed?deployer=1PytriYokKN3GpKw84L4vvrGBwUvTYzCpx`)).data.failed.length).to.equal(1)
+      expect((await axios.get(`http://localhost:${server.port}/failed?deployer=1111111111111111111114oLvT2`)).data.failed.length).to.equal(0)
+      server.stop()
+      await indexer.stop()
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('returns 400 for invalid cursor', async () => {
+      const indexer = new Indexer(':memory:', api, 'main', 1, 1, null, 0, Infinity)
+      const server = new Server(indexer, null, null)
+      await indexer.start()
+      server.start()
+      await listening(server)
+      try {
+        await axios.get(`http://localhost:${server.port}/failed?cursor=abc`)
+        throw new Error('Expected request to fail')
+      } catch (e) {
+        expect(e.response.status).to.equal(400)
+        expect(e.response.data.code).to.equal('INVALID_PARAMETER')
+      }
+      server.stop()
+      await indexer.stop()
+    })
+  })
+
+  // --------------------------------------------------------------------------
+  // get unspent
+  // --------------------------------------------------------------------------
+
+  describe('get unspent', () => {
+    it('query all unspent', async () => {
+      const indexer = new Indexer(':memory:', api, 'main', 1, 1, null, 0, Infinity)
+      const server = new Server(indexer, null, null)
+      await indexer.start()
+      server.start()
+      await listening(server)
+      indexer.add('9bb02c2f34817fec181dcf3f8f7556232d3fac9ef76660326f0583d57bf0d102')
+      await indexed(indexer, '9bb02c2f34817fec181dcf3f8f7556232d3fac9ef76660326f0583d57bf0d102')
+      const unspent = (await axios.get(`http://localhost:${server.port}/unspent`)).data
+      expect(unspent.length).to.equal(3)
+      expect(unspent.includes('3f9de452f0c3c96be737d42aa0941b27412211976688967adb3174ee18b04c64_o1')).to.equal(true)
+      expect(unspent.includes('3f9de452f0c3c96be737d42aa0941b27412211976688967adb3174ee18b04c64_o2')).to.equal(true)
+      expect(unspent.includes('9bb02c2f34817fec181dcf3f8f7556232d3fac9ef76660326f0583d57bf0d102_o1')).to.equal(true)
+      server.stop()
+      await indexer.stop()
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('query unspent by address', async () => {
+      const indexer = new Indexer(':memory:', api, 'main', 1, 1, null, 0, Infinity)
+      const server = new Server(indexer, null, null)
+      await indexer.start()
+      server.start()
+      await listening(server)
+      indexer.add('9bb02c2f34817fec181dcf3f8f7556232d3fac9ef76660326f0583d57bf0d102')
+      await indexed(indexer, '9bb02c2f34817fec181dcf3f8f7556232d3fac9ef76660326f0583d57bf0d102')
+      const address = '1Kc8XRNryDycwvfEQiFF2TZwD1CVhgwGy2'
+      const unspent = (await axios.get(`http://localhost:${server.port}/unspent?address=${address}`)).data
+      expect(unspent.length).to.equal(3)
+      server.stop()
+      await indexer.stop()
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('query unspent in pages', async () => {
+      const indexer = new Indexer(':memory:', api, 'main', 1, 1, null, 0, Infinity)
+      const server = new Server(indexer, null, null)
+      await indexer.start()
+      server.start()
+      await listening(server)
+      indexer.add('9bb02c2f34817fec181dcf3f8f7556232d3fac9ef76660326f0583d57bf0d102')
+      await indexed(indexer, '9bb02c2f34817fec181dcf3f8f7556232d3fac9ef76660326f0583d57bf0d102')
+      const page1 = (await axios.get(`http://localhost:${server.port}/unspent?limit=2`)).data
+      expect(page1.unspent).to.deep.equal([
+        '3f9de452f0c3c96be737d42aa0941b27412211976688967adb3174ee18b04c64_o1',
+        '3f9de452f0c3c96be737d42aa0941b27412211976688967adb3174ee18b04c64_o2'
+      ])
+      expect(typeof page1.cursor).to.equal('string')
+      const page2 = (await axios.get(`http://localhost:${server.port}/unspent?limit=2&cursor=${encodeURIComponent(page1.cursor)}`)).data
+      expect(page2.unspent).to.deep.equal(['9bb02c2f34817fec181dcf3f8f7556232d3fac9ef76660326f0583d57bf0d102_o1'])
+      expect(page2.cursor).to.equal(null)
+      server.stop()
+      await indexer.stop()
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('query unspent in pages ordered by height', async () => {
+      const indexer = new Indexer(':memory:', api, 'main', 1, 1, null, 0, Infinity)
+      const server = new Server(indexer, null, null)
+      await indexer.start()
+      server.start()
+      await listening(server)
+      indexer.add('9bb02c2f34817fec181dcf3f8f7556232d3fac9ef76660326f0583d57bf0d102', null, 2)
+      indexer.add('3f9de452f0c3c96be737d42aa0941b27412211976688967adb3174ee18b04c64', null, 3)
+      await indexed(indexer, '9bb02c2f34817fec181dcf3f8f7556232d3fac9ef76660326f0583d57bf0d102')
+      const page1 = (await axios.get(`http://localhost:${server.port}/unspent?order=height&limit=1`)).data
+      expect(page1.unspent).to.deep.equal(['9bb02c2f34817fec181dcf3f8f7556232d3fac9ef76660326f0583d57bf0d102_o1'])
+      const page2 = (await axios.get(`http://localhost:${server.port}/unspent?order=height&cursor=${encodeURIComponent(page1.cursor)}`)).data
+      expect(page2.unspent).to.deep.equal([
+        '3f9de452f0c3c96be737d42aa0941b27412211976688967adb3174ee18b04c64_o1',
+        '3f9de452f0c3c96be737d42aa0941b27412211976688967adb3174ee18b04c64_o2'
+      ])
+      expect(page2.cursor).to.equal(null)
+      server.stop()
+      await indexer.stop()
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('count unspent', async () => {
+      const indexer = new Indexer(':memory:', api, 'main', 1, 1, null, 0, Infinity)
+      const server = new Server(indexer, null, null)
+      await indexer.start()
+      server.start()
+      await listening(server)
+      indexer.add('9bb02c2f34817fec181dcf3f8f7556232d3fac9ef76660326f0583d57bf0d102')
+      await indexed(indexer, '9bb02c2f34817fec181dcf3f8f7556232d3fac9ef76660326f0583d57bf0d102')
+      const address = '1Kc8XRNryDycwvfEQiFF2TZwD1CVhgwGy2'
+      expect((await axios.get(`http://localhost:${server.port}/unspent?count=true`)).data).to.equal(3)
+      expect((await axios.get(`http://localhost:${server.port}/unspent?count=true&address=${address}`)).data).to.equal(3)
+      server.stop()
+      await indexer.stop()
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('returns 400 for invalid paging params', async () => {
+      const indexer = new Indexer(':memory:', api, 'main', 1, 1, null, 0, Infinity)
+      const server = new Server(indexer, null, null)
+      await indexer.start()
+      server.start()
+      await listening(server)
+      for (const query of ['limit=0', 'limit=abc', 'order=abc', 'cursor=abc']) {
+        try {
+          await axios.get(`http://localhost:${server.port}/unspent?${query}`)
+          throw new Error('Expected request to fail')
+        } catch (e) {
+          expect(e.response.status).to.equal(400)
+        }
+      }
+      server.stop()
+      await indexer.stop()
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('caches unspent briefly', async () => {
+      const indexer = new Indexer(':memory:', api, 'main', 1, 1, null, 0, Infinity)
+      const server = new Server(indexer, null, null, { key: 'read' }, 'none')
+      await indexer.start()
+      server.start()
+      await listening(server)
+      const options = { headers: { Authorization: 'Bearer key' } }
+      const response = await axios.get(`http://localhost:${server.port}/unspent`, options)
+      expect(response.headers['cache-control']).to.equal('private, max-age=5')
+      server.stop()
+      await indexer.stop()
+    })
+  })
+
+  // --------------------------------------------------------------------------
+  // token
+  // --------------------------------------------------------------------------
+
+  describe('token', () => {
+    it('returns supply and balances of unspent tokens', async () => {
+      const indexer = new Indexer(':memory:', api, 'test', 1, 1, null, 0, Infinity)
+      const server = new Server(indexer, null, null)
+      await indexer.start()
+      server.start()
+      await listening(server)
+      await indexTokens(indexer)
+      const supply = (await axios.get(`http://localhost:${server.port}/token/${TOKEN}/supply`)).data
+      expect(supply).to.deep.equal({ supply: 240, outputs: 4 })
+      const balance = (await axios.get(`http://localhost:${server.port}/token/${TOKEN}/balance?address=${A}`)).data
+      expect(balance).to.deep.equal({ balance: 150, outputs: 2 })
+      const destroyed = (await axios.get(`http://localhost:${server.port}/token/${TOKEN}/balance?address=${B}`)).data
+      expect(destroyed).to.deep.equal({ balance: 20, outputs: 1 })
+      const other = MINT + '_o2'
+      expect((await axios.get(`http://localhost:${server.port}/token/${other}/supply`)).data).to.deep.equal({ supply: 0, outputs: 0 })
+      server.stop()
+      await indexer.stop()
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('lists holders in pages', async () => {
+      const indexer = new Indexer(':memory:', api, 'test', 1, 1, null, 0, Infinity)
+      const server = new Server(indexer, null, null)
+      await indexer.start()
+      server.start()
+      await listening(server)
+      await indexTokens(indexer)
+      const all = (await axios.get(`http://localhost:${server.port}/token/${TOKEN}/holders`)).data
+      expect(all.holders.map(holder => [holder.owner, holder.balance])).to.deep.equal([[A, 150], [C, 70], [B, 20]])
+      expect(all.cursor).to.equal(null)
+      const asc = (await axios.get(`http://localhost:${server.port}/token/${TOKEN}/holders?order=asc`)).data
+      expect(asc.holders.map(holder => holder.owner)).to.deep.equal([B, C, A])
+      const page1 = (await axios.get(`http://localhost:${server.port}/token/${TOKEN}/holders?limit=2`)).data
+      expect(page1.holders.map(holder => holder.owner)).to.deep.equal([A, C])
+      const page2 = (await axios.get(`http://localhost:${server.port}/token/${TOKEN}/holders?limit=2&cursor=${page1.cursor}`)).data
+      expect(page2.holders.map(holder => holder.owner)).to.deep.equal([B])
+      expect(page2.cursor).to.equal(null)
+      server.stop()
+      await indexer.stop()
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('sums large amounts exactly', async () => {
+      const indexer = new Indexer(':memory:', api, 'test', 1, 1, null, 0, Infinity)
+      const server = new Server(indexer, null, null)
+      await indexer.start()
+      server.start()
+      await listening(server)
+      await indexTokens(indexer)
+      indexer.database.db.prepare('UPDATE jig SET amount = ? WHERE class = ?').run(Number.MAX_SAFE_INTEGER, TOKEN)
+      const supply = (await axios.get(`http://localhost:${server.port}/token/${TOKEN}/supply`)).data
+      expect(supply).to.deep.equal({ supply: (BigInt(Number.MAX_SAFE_INTEGER) * 4n).toString(), outputs: 4 })
+      const balance = (await axios.get(`http://localhost:${server.port}/token/${TOKEN}/balance?address=${B}`)).data
+      expect(balance).to.deep.equal({ balance: Number.MAX_SAFE_INTEGER, outputs: 1 })
+      const page1 = (await axios.get(`http://localhost:${server.port}/token/${TOKEN}/holders?limit=1`)).data
+      expect(page1.holders).to.deep.equal([{ scripthash: page1.holders[0].scripthash, owner: A, balance: (BigInt(Number.MAX_SAFE_INTEGER) * 2n).toString(), outputs: 2 }])
+      const page2 = (await axios.get(`http://localhost:${server.port}/token/${TOKEN}/holders?limit=1&cursor=${page1.cursor}`)).data
+      expect(page2.holders.map(holder => holder.balance)).to.deep.equal([Number.MAX_SAFE_INTEGER])
+      // Amounts that are not safe integers were stored before, and are no longer counted
+      indexer.database.db.prepare('UPDATE jig SET amount = 1.5 WHERE class = ? AND owner = ?').run(TOKEN, B)
+      indexer.database.db.pragma('user_version = 10')
+      indexer.database.initializeV11()
+      expect((await axios.get(`http://localhost:${server.port}/token/${TOKEN}/balance?address=${B}`)).data).to.deep.equal({ balance: 0, outputs: 0 })
+      server.stop()
+      await indexer.stop()
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('returns 400 for balance without an owner', async () => {
+      const indexer = new Indexer(':memory:', api, 'test', 1, 1, null, 0, Infinity)
+      const server = new Server(indexer, null, null)
+      await indexer.start()
+      server.start()
+      await listening(server)
+      try {
+        await axios.get(`http://localhost:${server.port}/token/${TOKEN}/balance`)
+        throw new Error('Expected request to fail')
+      } catch (e) {
+        expect(e.response.status).to.equal(400)
+        expect(e.response.data.code).to.equal('MISSING_PARAMETER')
+      }
+      server.stop()
+      await indexer.stop()
+    })
+  })
+
+  // --------------------------------------------------------------------------
+  // export
+  // --------------------------------------------------------------------------
+
+  describe('export', () => {
+    it('streams jigs filtered by class and unspent', async () => {
+      const indexer = new Indexer(':memory:', api, 'test', 1, 1, null, 0, Infinity)
+      const server = new Server(indexer, null, null)
+      await indexer.start()
+      server.start()
+      await listening(server)
+      await indexTokens(indexer)
+      const options = { responseType: 'text' }
+      const response = await axios.get(`http://localhost:${server.port}/export/jigs?class=${TOKEN}&unspent=true`, options)
+      expect(response.headers['content-type']).to.equal('application/x-ndjson')
+      const jigs = ndjson(response.data)
+      expect(jigs.map(jig => jig.amount)).to.deep.equal([100, 50, 20, 70])
+      expect(jigs.every(jig => jig.state.kind === 'jig' && jig.class === TOKEN && jig.spendTxid === null)).to.equal(true)
+      const all = ndjson((await axios.get(`http://localhost:${server.port}/export/jigs`, options)).data)
+      expect(all.length).to.equal(7)
+      expect(Array.from(indexer.database.exportJigs({}, 2))).to.deep.equal(all)
+      server.stop()
+      await indexer.stop()
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('streams transactions with gzip', async () => {
+      const indexer = new Indexer(':memory:', api, 'test', 1, 1, null, 0, Infinity)
+      const server = new Server(indexer, null, null)
+      await indexer.start()
+      server.start()
+      await listening(server)
+      await indexTokens(indexer)
+      const options = { headers: { 'Accept-Encoding': 'gzip' }, responseType: 'arraybuffer', decompress: false }
+      const response = await axios.get(`http://localhost:${server.port}/export/tx`, options)
+      expect(response.headers['content-encoding']).to.equal('gzip')
+      const txs = ndjson(zlib.gunzipSync(response.data).toString())
+      expect(txs.map(tx => tx.txid)).to.deep.equal([MINT, DESTROY])
+      expect(txs.every(tx => tx.downloaded && tx.executed && tx.indexed)).to.equal(true)
+      server.stop()
+      await indexer.stop()
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('streams spends filtered by height', async () => {
+      const indexer = new Indexer(':memory:', api, 'test', 1, 1, null, 0, Infinity)
+      const server = new Server(indexer, null, null)
+      await indexer.start()
+      server.start()
+      await listening(server)
+      indexer.trust(MINT)
+      indexer.add(MINT, null, 100)
+      indexer.add(DESTROY, null, 101)
+      await indexed(indexer, DESTROY)
+      const options = { responseType: 'text' }
+      const spends = ndjson((await axios.get(`http://localhost:${server.port}/export/spends?class=${TOKEN}`, options)).data)
+      expect(spends.length).to.equal(5)
+      expect(spends.filter(spend => spend.spendTxid === DESTROY).length).to.equal(1)
+      const unspent = ndjson((await axios.get(`http://localhost:${server.port}/export/spends?class=${TOKEN}&unspent=true`, options)).data)
+      expect(unspent.length).to.equal(4)
+      expect(ndjson((await axios.get(`http://localhost:${server.port}/export/spends?start=101`, options)).data).length).to.equal(0)
+      expect(ndjson((await axios.get(`http://localhost:${server.port}/export/spends?end=100`, options)).data).length).to.equal(7)
+      server.stop()
+      await indexer.stop()
+    })
+  })
+
+  // --------------------------------------------------------------------------
+  // post reexecute
+  // --------------------------------------------------------------------------
+
+  describe('post reexecute', () => {
+    it('reexecutes a failed transaction', async () => {
+      const indexer = new Indexer(':memory:', api, 'main', 1, 1, null, 0, Infinity)
+      const server = new Server(indexer, null, null, {}, 'admin')
+      await indexer.start()
+      server.start()
+      await listening(server)
+      indexer.trust('b17a9af70ab0f46809f908b2e900e395ba40996000bf4f00e3b27a1e93280cf1')
+      indexer.trust('a5291157ab7a2d80d834bbe82c380ce3976f53990d20c62c477ca3a2ac93a7e9')
+      indexer.add('b17a9af70ab0f46809f908b2e900e395ba40996000bf4f00e3b27a1e93280cf1')
+      indexer.add('a5291157ab7a2d80d834bbe82c380ce3976f53990d20c62c477ca3a2ac93a7e9')
+      await failed(indexer, 'a5291157ab7a2d80d834bbe82c380ce3976f53990d20c62c477ca3a2ac93a7e9')
+      const refailed = failed(indexer, 'a5291157ab7a2d80d834bbe82c380ce3976f53990d20c62c477ca3a2ac93a7e9')
+      const txids = (await axios.post(`http://localhost:${server.port}/reexecute/a5291157ab7a2d80d834bbe82c380ce3976f53990d20c62c477ca3a2ac93a7e9`)).data
+      expect(txids).to.deep.equal(['a5291157ab7a2d80d834bbe82c380ce3976f53990d20c62c477ca3a2ac93a7e9'])
+      await refailed
+      expect(indexer.database.getFailed().length).to.equal(1)
+      server.stop()
+      await indexer.stop()
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('reexecutes by class', async () => {
+      const indexer = new Indexer(':memory:', api, 'main', 1, 1, null, 0, Infinity)
+      const server = new Server(indexer, null, null, {}, 'admin')
+      await indexer.start()
+      server.start()
+      await listening(server)
+      indexer.add('9bb02c2f34817fec181dcf3f8f7556232d3fac9ef76660326f0583d57bf0d102')
+      await indexed(indexer, '9bb02c2f34817fec181dcf3f8f7556232d3fac9ef76660326f0583d57bf0d102')
+      const cls = '3f9de452f0c3c96be737d42aa0941b27412211976688967adb3174ee18b04c64_o1'
+      const reindexed = indexed(indexer, '9bb02c2f34817fec181dcf3f8f7556232d3fac9ef76660326f0583d57bf0d102')
+      const txids = (await axios.post(`http://localhost:${server.port}/reexecute?class=${cls}`)).data
+      expect(txids.sort()).to.deep.equal([
+        '3f9de452f0c3c96be737d42aa0941b27412211976688967adb3174ee18b04c64',
+        '9bb02c2f34817fec181dcf3f8f7556232d3fac9ef76660326f0583d57bf0d102'
+      ])
+      await reindexed
+      expect(indexer.jig('9bb02c2f34817fec181dcf3f8f7556232d3fac9ef76660326f0583d57bf0d102_o1')).not.to.equal(undefined)
+      server.stop()
+      await indexer.stop()
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('returns 400 without a txid, class, or heights', async () => {
+      const indexer = new Indexer(':memory:', api, 'main', 1, 1, null, 0, Infinity)
+      const server = new Server(indexer, null, null, {}, 'admin')
+      await indexer.start()
+      server.start()
+      await listening(server)
+      try {
+        await axios.post(`http://localhost:${server.port}/reexecute?start=1`)
+        throw new Error('Expected request to fail')
+      } catch (e) {
+        expect(e.response.status).to.equal(400)
+        expect(e.response.data.code).to.equal('MISSING_PARAMETER')
+      }
+      server.stop()
+      await indexer.stop()
+    })
+  })
+
+  // --------------------------------------------------------------------------
+  // get events
+  // --------------------------------------------------------------------------
+
+  describe('get events', () => {
+    it('streams events of requested types', async () => {
+      const indexer = new Indexer(':memory:', api, 'main', 1, 1, null, 0, Infinity)
+      const server = new Server(indexer, null, null)
+      await indexer.start()
+      server.start()
+      await listening(server)
+      const events = new EventSource(`http://localhost:${server.port}/events?types=index`)
+      await new Promise((resolve, reject) => { events.onopen = resolve })
+      const txid = '3f9de452f0c3c96be737d42aa0941b27412211976688967adb3174ee18b04c64'
+      indexer.add(txid)
+      const event = await received(events, 'index')
+      expect(JSON.parse(event.data).txid).to.equal(txid)
+      events.close()
+      server.stop()
+      await indexer.stop()
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('replays events after last event id', async () => {
+      const indexer = new Indexer(':memory:', api, 'main', 1, 1, null, 0, Infinity)
+      const server = new Server(indexer, null, null)
+      await indexer.start()
+      server.start()
+      await listening(server)
+      const txid = '3f9de452f0c3c96be737d42aa0941b27412211976688967adb3174ee18b04c64'
+      indexer.add(txid)
+      await indexed(indexer, txid)
+      const firstId = indexer.events.recent[0].id
+      const headers = { 'Last-Event-ID': firstId.toString() }
+      const events = new EventSource(`http://localhost:${server.port}/events?types=index`, { headers })
+      const event = await received(events, 'index')
+      expect(JSON.parse(event.data).txid).to.equal(txid)
+      expect(parseInt(event.lastEventId)).to.be.greaterThan(firstId)
+      events.close()
+      server.stop()
+      await indexer.stop()
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('sends reset if last event id is not remembered', async () => {
+      const indexer = new Indexer(':memory:', api, 'main', 1, 1, null, 0, Infinity)
+      const server = new Server(indexer, null, null)
+      await indexer.start()
+      server.start()
+      await listening(server)
+      const txid = '3f9de452f0c3c96be737d42aa0941b27412211976688967adb3174ee18b04c64'
+      indexer.add(txid)
+      await indexed(indexer, txid)
+      const lastId = indexer.events.lastId()
+      // Ids from an earlier process are lower than the ids after restarting
+      const headers = { 'Last-Event-ID': '1' }
+      const events = new EventSource(`http://localhost:${server.port}/events?types=index`, { headers })
+      const event = await received(events, 'reset')
+      expect(parseInt(event.lastEventId)).to.equal(lastId)
+      events.close()
+      expect(indexer.events.since(lastId + 1)).to.equal(null)
+      expect(indexer.events.since(lastId)).to.deep.equal([])
+      server.stop()
+      await indexer.stop()
+      expect(new Events().lastId()).to.be.above(lastId)
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('returns 400 for unknown event types', async () => {
+      const indexer = new Indexer(':memory:', api, 'main', 1, 1, null, 0, Infinity)
+      const server = new Server(indexer, null, null)
+      await indexer.start()
+      server.start()
+      await listening(server)
+      try {
+        await axios.get(`http://localhost:${server.port}/events?types=index,abc`)
+        expect.fail()
+      } catch (e) {
+        expect(e.response.status).to.equal(400)
+      }
+      server.stop()
+      await indexer.stop()
+    })
+  })
+
+  // --------------------------------------------------------------------------
+  // health
+  // --------------------------------------------------------------------------
+
+  describe('health', () => {
+    const status = async promise => { try { return (await promise).status } catch (e) { return e.response.status } }
+
+    it('live and ready when synced', async () => {
+      const indexer = new Indexer(':memory:', api, 'main', 1, 1, null, 0, Infinity)
+      const server = new Server(indexer, null, null, { abc: 'admin' }, 'none')
+      await indexer.start()
+      server.start()
+      await listening(server)
+      expect((await axios.get(`http://localhost:${server.port}/health/live`)).data).to.deep.equal({ live: true })
+      const ready = (await axios.get(`http://localhost:${server.port}/health/ready`)).data
+      expect(ready.ready).to.equal(true)
+      expect(ready.checks.mempool.connected).to.equal(true)
+      server.stop()
+      await indexer.stop()
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('not ready when behind tip', async () => {
+      const getNextBlock = () => null
+      const getTipHeight = () => 100
+      const indexer = new Indexer(':memory:', { fetch, getNextBlock, getTipHeight }, 'main', 1, 1, null, 0, Infinity)
+      const server = new Server(indexer, null, null)
+      await indexer.start()
+      server.start()
+      await listening(server)
+      try {
+        await axios.get(`http://localhost:${server.port}/health/ready`)
+        throw new Error('Expected request to fail')
+      } catch (e) {
+        expect(e.response.status).to.equal(503)
+        expect(e.response.data.ready).to.equal(false)
+        expect(e.response.data.checks.sync).to.deep.equal({ ok: false, height: 0, tipHeight: 100, behind: 100, max: 2 })
+      }
+      server.stop()
+      await indexer.stop()
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('uses configured thresholds', async () => {
+      const getNextBlock = () => null
+      const getTipHeight = () => 100
+      const indexer = new Indexer(':memory:', { fetch, getNextBlock, getTipHeight }, 'main', 1, 1, null, 0, Infinity)
+      const server = new Server(indexer, null, null, {}, null, { maxBlocksBehind: 100 })
+      await indexer.start()
+      server.start()
+      await listening(server)
+      expect(await status(axios.get(`http://localhost:${server.port}/health/ready`))).to.equal(200)
+      server.readiness.maxExecutionBacklog = -1
+      expect(await status(axios.get(`http://localhost:${server.port}/health/ready`))).to.equal(503)
+      server.stop()
+      await indexer.stop()
+    })
+  })
+
+  // --------------------------------------------------------------------------
+  // get metrics
+  // --------------------------------------------------------------------------
+
+  describe('get metrics', () => {
+    it('returns indexing and http metrics', async () => {
+      const indexer = new Indexer(':memory:', api, 'main', 1, 1, null, 0, Infinity)
+      const server = new Server(indexer, null, null)
+      await indexer.start()
+      server.start()
+      await listening(server)
+      indexer.add('9bb02c2f34817fec181dcf3f8f7556232d3fac9ef76660326f0583d57bf0d102')
+      await indexed(indexer, '9bb02c2f34817fec181dcf3f8f7556232d3fac9ef76660326f0583d57bf0d102')
+      await axios.get(`http://localhost:${server.port}/jig/9bb02c2f34817fec181dcf3f8f7556232d3fac9ef76660326f0583d57bf0d102_o1`)
+      const response = await axios.get(`http://localhost:${server.port}/metrics`)
+      expect(response.headers['content-type']).to.contain('text/plain')
+      const metrics = response.data
+      expect(metrics).to.contain('run_db_unspent 3')
+      expect(metrics).to.contain('run_db_queued_for_execution 0')
+      expect(metrics).to.contain('run_db_downloads{state="queued"} 0')
+      expect(metrics).to.contain('run_db_execution_duration_seconds_count{worker="0",outcome="indexed"} 2')
+      expect(metrics).to.contain('run_db_http_request_duration_seconds_count{method="GET",route="/jig/:location",status="200"} 1')
+      expect(metrics).to.match(/run_db_sqlite_bytes [1-9]/)
+      server.stop()
+      await indexer.stop()
+    })
+  })
+
+  // --------------------------------------------------------------------------
+  // subscribe
+  // --------------------------------------------------------------------------
+
+  describe('subscribe', () => {
+    it('notifies jigs stored at address', async () => {
+      const indexer = new Indexer(':memory:', api, 'main', 1, 1, null, 0, Infinity)
+      const server = new Server(indexer, null, null)
+      await indexer.start()
+      server.start()
+      await listening(server)
+      const ws = new WebSocket(`ws://localhost:${server.port}/subscribe`)
+      await opened(ws)
+      const address = '1Kc8XRNryDycwvfEQiFF2TZwD1CVhgwGy2'
+      ws.send(JSON.stringify({ action: 'subscribe', id: 'wallet', address }))
+      await message(ws, 'subscribed')
+      const jig = message(ws, 'jig')
+      indexer.add('9bb02c2f34817fec181dcf3f8f7556232d3fac9ef76660326f0583d57bf0d102')
+      const msg = await jig
+      expect(msg.id).to.equal('wallet')
+      expect(typeof msg.location).to.equal('string')
+      expect(msg.scripthash).to.equal(indexer.database.getJigFilters(msg.location).scripthash)
+      ws.close()
+      server.stop()
+      await indexer.stop()
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('notifies spends of jigs by class', async function () {
+      this.timeout(40000)
+      const indexer = new Indexer(':memory:', api, 'main', 1, 1, null, 0, Infinity)
+      const server = new Server(indexer, null, null)
+      await indexer.start()
+      server.start()
+      await listening(server)
+      const txid = '7fa1b0eb8408047e138aadf72ee0980e42afab2208181429b050ad495a384d39'
+      indexer.add(txid)
+      await indexed(indexer, txid)
+      const location = `${txid}_o1`
+      const cls = indexer.database.getJigFilters(location).class
+      const ws = new WebSocket(`ws://localhost:${server.port}/subscribe`)
+      await opened(ws)
+      ws.send(JSON.stringify({ action: 'subscribe', id: 'cls', class: cls }))
+      await message(ws, 'subscribed')
+      const spend = message(ws, 'spend')
+      indexer.add('11f27cdad53128a4eb14c8328515dfab56b16ea5a71dd26abe9e9d7488f3ab83')
+      const msg = await spend
+      expect(msg.location).to.equal(location)
+      expect(msg.spendTxid).to.equal('11f27cdad53128a4eb14c8328515dfab56b16ea5a71dd26abe9e9d7488f3ab83')
+      ws.close()
+      server.stop()
+      await indexer.stop()
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('returns error for unknown action', async () => {
+      const indexer = new Indexer(':memory:', api, 'main', 1, 1, null, 0, Infinity)
+      const server = new Server(indexer, null, null)
+      await indexer.start()
+      server.start()
+      await listening(server)
+      const ws = new WebSocket(`ws://localhost:${server.port}/subscribe`)
+      await opened(ws)
+      ws.send(JSON.stringify({ action: 'abc' }))
+      const msg = await message(ws, 'error')
+      expect(msg.message).to.equal('Unknown action: abc')
+      ws.close()
+      server.stop()
+      await indexer.stop()
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('returns error for invalid filters', async () => {
+      const indexer = new Indexer(':memory:', api, 'main', 1, 1, null, 0, Infinity)
+      const server = new Server(indexer, null, null)
+      await indexer.start()
+      server.start()
+      await listening(server)
+      const ws = new WebSocket(`ws://localhost:${server.port}/subscribe`)
+      await opened(ws)
+      ws.send(JSON.stringify({ action: 'subscribe', id: 'cls', class: 'abc' }))
+      expect((await message(ws, 'error')).message).to.equal('Invalid class: abc')
+      ws.send(JSON.stringify({ action: 'subscribe', id: 'hash', scripthash: 123 }))
+      expect((await message(ws, 'error')).message).to.equal('Invalid scripthash: 123')
+      ws.send(JSON.stringify({ action: 'subscribe', id: 'wallet', address: 'abc' }))
+      expect((await message(ws, 'error')).message).to.equal('Invalid address: abc')
+      ws.close()
+      server.stop()
+      await indexer.stop()
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('returns error for missing filters', async () => {
+      const indexer = new Indexer(':memory:', api, 'main', 1, 1, null, 0, Infinity)
+      const server = new Server(indexer, null, null)
+      await indexer.start()
+      server.start()
+      await listening(server)
+      const ws = new WebSocket(`ws://localhost:${server.port}/subscribe`)
+      await opened(ws)
+      ws.send(JSON.stringify({ action: 'subscribe', id: 'all' }))
+      const msg = await message(ws, 'error')
+      expect(msg.message).to.equal('Missing class, lock, or owner')
+      ws.close()
+      server.stop()
+      await indexer.stop()
+    })
+  })
+
+  // --------------------------------------------------------------------------
+  // webhooks
+  // --------------------------------------------------------------------------
+
+  describe('webhooks', () => {
+    // Receives webhook deliveries on a local port
+    const receiver = () => new Promise((resolve, reject) => {
+      const requests = []
+      const server = http.createServer((req, res) => {
+        let body = ''
+        req.on('data', chunk => { body += chunk })
+        req.on('end', () => { requests.push({ headers: req.headers, body }); res.end() })
+      })
+      server.listen(0, () => resolve({ server, requests, url: `http://localhost:${server.address().port}/hook` }))
+    })
+
+    it('delivers signed jig events for a class', async () => {
+      const { server: hook, requests, url } = await receiver()
+      const indexer = new Indexer(':memory:', api, 'test', 1, 1, null, 0, Infinity)
+      const server = new Server(indexer, null, null, {}, 'admin')
+      await indexer.start()
+      server.start()
+      await listening(server)
+      const webhook = (await axios.post(`http://localhost:${server.port}/webhooks`, { url, class: TOKEN, events: ['jig'] })).data
+      expect(webhook.secret).to.match(/^[0-9a-f]{64}$/)
+      expect(webhook.events).to.deep.equal(['jig'])
+      const delivered = new Promise(resolve => { indexer.webhooks.onDeliver = () => requests.length === 5 && resolve() })
+      await indexTokens(indexer)
+      await delivered
+      for (const { headers, body } of requests) {
+        const signature = 'sha256=' + crypto.createHmac('sha256', webhook.secret).update(body).digest('hex')
+        expect(headers['x-run-db-signature']).to.equal(signature)
+        const payload = JSON.parse(body)
+        expect(payload.webhook).to.equal(webhook.id)
+        expect(payload.type).to.equal('jig')
+        expect(payload.data.class).to.equal(TOKEN)
+      }
+      const { secret, ...listed } = webhook
+      expect((await axios.get(`http://localhost:${server.port}/webhooks`)).data).to.deep.equal([listed])
+      await axios.delete(`http://localhost:${server.port}/webhooks/${webhook.id}`)
+      expect((await axios.get(`http://localhost:${server.port}/webhooks`)).data).to.deep.equal([])
+      server.stop()
+      await indexer.stop()
+      hook.close()
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('stores dead letters after failed attempts', async () => {
+      const { server: hook, requests, url } = await receiver()
+      hook.close()
+      const indexer = new Indexer(':memory:', api, 'test', 1, 1, null, 0, Infinity)
+      const server = new Server(indexer, null, null, {}, 'admin')
+      await indexer.start()
+      server.start()
+      await listening(server)
+      indexer.webhooks.maxAttempts = 2
+      indexer.webhooks.retryDelay = 10
+      const webhook = (await axios.post(`http://localhost:${server.port}/webhooks`, { url, events: ['trust'] })).data
+      const dead = new Promise(resolve => { indexer.webhooks.onDeadLetter = resolve })
+      indexer.trust(MINT)
+      await dead
+      const letters = (await axios.get(`http://localhost:${server.port}/webhooks/dead`)).data
+      expect(letters.length).to.equal(1)
+      expect(letters[0].webhook).to.equal(webhook.id)
+      expect(letters[0].attempts).to.equal(2)
+      expect(letters[0].payload.type).to.equal('trust')
+      expect(letters[0].payload.data).to.deep.equal({ txid: MINT })
+      await new Promise(resolve => hook.listen(new URL(url).port, resolve))
+      const delivered = new Promise(resolve => { indexer.webhooks.onDeliver = resolve })
+      await axios.post(`http://localhost:${server.port}/webhooks/dead/${letters[0].id}`)
+      await delivered
+      expect(JSON.parse(requests[0].body)).to.deep.equal(letters[0].payload)
+      expect((await axios.get(`http://localhost:${server.port}/webhooks/dead`)).data).to.deep.equal([])
+      server.stop()
+      await indexer.stop()
+      hook.close()
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('cancels retries when removed', async () => {
+      const { server: hook, url } = await receiver()
+      hook.close()
+      const indexer = new Indexer(':memory:', api, 'test', 1, 1, null, 0, Infinity)
+      const server = new Server(indexer, null, null, {}, 'admin')
+      await indexer.start()
+      server.start()
+      await listening(server)
+      indexer.webhooks.retryDelay = 60000
+      const webhook = (await axios.post(`http://localhost:${server.port}/webhooks`, { url, events: ['trust'] })).data
+      indexer.trust(MINT)
+      while (!indexer.webhooks.retries.size) await new Promise(resolve => setTimeout(resolve, 10))
+      await axios.delete(`http://localhost:${server.port}/webhooks/${webhook.id}`)
+      expect(indexer.webhooks.retries.size).to.equal(0)
+      indexer.webhooks.onDeadLetter = () => { throw new Error('Dead letter for removed webhook') }
+      server.stop()
+      await indexer.stop()
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('rejects webhooks without criteria', async () => {
+      const indexer = new Indexer(':memory:', api, 'test', 1, 1, null, 0, Infinity)
+      const server = new Server(indexer, null, null, {}, 'admin')
+      await indexer.start()
+      server.start()
+      await listening(server)
+      const post = body => axios.post(`http://localhost:${server.port}/webhooks`, body).catch(e => e.response)
+      expect((await post({ url: 'http://localhost/hook' })).data.code).to.equal('MISSING_PARAMETER')
+      expect((await post({ url: 'ftp://localhost/hook', class: TOKEN })).data.code).to.equal('INVALID_BODY')
+      expect((await post({ url: 'http://localhost/hook', events: ['abc'] })).data.code).to.equal('INVALID_BODY')
+      expect((await axios.delete(`http://localhost:${server.port}/webhooks/123`).catch(e => e.response)).status).to.equal(404)
+      server.stop()
+      await indexer.stop()
+    })
+  })
+
+  // --------------------------------------------------------------------------
+  // auth
+  // --------------------------------------------------------------------------
+
+  describe('auth', () => {
+    const apiKeys = { readkey: 'read', writekey: 'write', adminkey: 'admin' }
+    const auth = key => { return { headers: { Authorization: `Bearer ${key}` } } }
+    const status = async promise => { try { return (await promise).status } catch (e) { return e.response.status } }
+
+    it('requires admin to ban', async () => {
+      const indexer = new Indexer(':memory:', api, 'main', 1, 1, null, 0, Infinity)
+      const server = new Server(indexer, null, null, apiKeys)
+      await indexer.start()
+      server.start()
+      await listening(server)
+      const txid = '3f9de452f0c3c96be737d42aa0941b27412211976688967adb3174ee18b04c64'
+      indexer.add(txid)
+      expect(await status(axios.post(`http://localhost:${server.port}/ban/${txid}`))).to.equal(401)
+      expect(await status(axios.post(`http://localhost:${server.port}/ban/${txid}`, null, auth('badkey')))).to.equal(401)
+      expect(await status(axios.post(`http://localhost:${server.port}/ban/${txid}`, null, auth('writekey')))).to.equal(403)
+      expect(indexer.database.isBanned(txid)).to.equal(false)
+      expect(await status(axios.post(`http://localhost:${server.port}/ban/${txid}`, null, auth('adminkey')))).to.equal(200)
+      expect(indexer.database.isBanned(txid)).to.equal(true)
+      server.stop()
+      await indexer.stop()
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('requires write to add tx', async () => {
+      const indexer = new Indexer(':memory:', api, 'main', 1, 1, null, 0, Infinity)
+      const server = new Server(indexer, null, null, apiKeys)
+      await indexer.start()
+      server.start()
+      await listening(server)
+      const txid = '3f9de452f0c3c96be737d42aa0941b27412211976688967adb3174ee18b04c64'
+      expect(await status(axios.post(`http://localhost:${server.port}/tx/${txid}`, null, auth('readkey')))).to.equal(403)
+      const options = { headers: { 'X-API-Key': 'writekey' } }
+      expect(await status(axios.post(`http://localhost:${server.port}/tx/${txid}`, null, options))).to.equal(200)
+      expect(await status(axios.get(`http://localhost:${server.port}/status`))).to.equal(200)
+      server.stop()
+      await indexer.stop()
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('requires read key when public role is none', async () => {
+      const indexer = new Indexer(':memory:', api, 'main', 1, 1, null, 0, Infinity)
+      const server = new Server(indexer, null, null, apiKeys, 'none')
+      await indexer.start()
+      server.start()
+      await listening(server)
+      expect(await status(axios.get(`http://localhost:${server.port}/status`))).to.equal(401)
+      expect(await status(axios.get(`http://localhost:${server.port}/status`, auth('readkey')))).to.equal(200)
+      const ws = new WebSocket(`ws://localhost:${server.port}/subscribe`)
+      await expect(opened(ws)).to.be.rejected
+      const ws2 = new WebSocket(`ws://localhost:${server.port}/subscribe`, auth('readkey'))
+      await opened(ws2)
+      ws2.close()
+      server.stop()
+      await indexer.stop()
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('requires admin key for new admin routes by default', async () => {
+      const indexer = new Indexer(':memory:', api, 'main', 1, 1, null, 0, Infinity)
+      const server = new Server(indexer, null, null)
+      await indexer.start()
+      server.start()
+      await listening(server)
+      const txid = '3f9de452f0c3c96be737d42aa0941b27412211976688967adb3174ee18b04c64'
+      const webhook = { url: 'http://localhost/hook', events: ['tx'] }
+      expect(await status(axios.post(`http://localhost:${server.port}/webhooks`, webhook))).to.equal(401)
+      expect(await status(axios.get(`http://localhost:${server.port}/audit`))).to.equal(401)
+      expect(await status(axios.post(`http://localhost:${server.port}/reexecute/${txid}`))).to.equal(401)
+      expect(await status(axios.post(`http://localhost:${server.port}/ban/${txid}`))).to.equal(200)
+      server.stop()
+      await indexer.stop()
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('warns when requests without a key have admin access', async () => {
+      const indexer = new Indexer(':memory:', api, 'main', 1, 1, null, 0, Infinity)
+      const warnings = []
+      const logger = { info: () => {}, warn: msg => warnings.push(msg), error: () => {} }
+      const server = new Server(indexer, logger, null)
+      server.start()
+      await listening(server)
+      expect(warnings.length).to.equal(1)
+      server.stop()
+      const server2 = new Server(indexer, logger, null, apiKeys)
+      server2.start()
+      await listening(server2)
+      expect(warnings.length).to.equal(1)
+      server2.stop()
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('throws if unknown role', () => {
+      expect(() => new Server(null, null, null, { abc: 'superuser' })).to.throw('Unknown role: superuser')
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('throws without the key if api keys are malformed', () => {
+      const loadConfig = apiKeys => {
+        process.env.API_KEYS = apiKeys
+        delete require.cache[require.resolve('../src/config')]
+        try { return require('../src/config') } finally { delete process.env.API_KEYS }
+      }
+      expect(loadConfig('readkey:read,adminkey:admin').API_KEYS).to.deep.equal({ readkey: 'read', adminkey: 'admin' })
+      for (const apiKeys of ['readkey:read,secretkey', ':admin']) {
+        let error = null
+        try { loadConfig(apiKeys) } catch (e) { error = e }
+        expect(error.message).to.match(/must be key:role/)
+        expect(error.message).not.to.include('secretkey')
+      }
+      delete require.cache[require.resolve('../src/config')]
+    })
+  })
+
+  // --------------------------------------------------------------------------
+  // read only
+  // --------------------------------------------------------------------------
+
+  describe('read only', () => {
+    const tempDatabase = () => path.join(os.tmpdir(), `run-db-test-${process.pid}-${Date.now()}.db`)
+    const removeDatabase = db => ['', '-wal', '-shm'].forEach(suffix => fs.existsSync(db + suffix) && fs.unlinkSync(db + suffix))
+
+    it('serves states indexed by another process', async () => {
+      const db = tempDatabase()
+      const indexer = new Indexer(db, api, 'main', 1, 1, null, 0, Infinity)
+      await indexer.start()
+      indexer.add('9bb02c2f34817fec181dcf3f8f7556232d3fac9ef76660326f0583d57bf0d102')
+      await indexed(indexer, '9bb02c2f34817fec181dcf3f8f7556232d3fac9ef76660326f0583d57bf0d102')
+      const reader = new Reader(db)
+      const server = new Server(reader, null, null)
+      await reader.start()
+      server.start()
+      await listening(server)
+      const location = '9bb02c2f34817fec181dcf3f8f7556232d3fac9ef76660326f0583d57bf0d102_o1'
+      const state = (await axios.get(`http://localhost:${server.port}/jig/${location}`)).data
+      expect(state).to.deep.equal(JSON.parse(indexer.jig(location)))
+      const status = (await axios.get(`http://localhost:${server.port}/status`)).data
+      expect(status.readonly).to.equal(true)
+      expect(status.height).to.equal(0)
+      expect(status.indexed).to.equal(2)
+      const txid = 'a5291157ab7a2d80d834bbe82c380ce3976f53990d20c62c477ca3a2ac93a7e9'
+      expect((await axios.get(`http://localhost:${server.port}/trust/${txid}`)).data).to.equal(false)
+      indexer.trust(txid)
+      expect((await axios.get(`http://localhost:${server.port}/trust/${txid}`)).data).to.equal(true)
+      server.stop()
+      await reader.stop()
+      await indexer.stop()
+      removeDatabase(db)
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('rejects writes', async () => {
+      const db = tempDatabase()
+      const indexer = new Indexer(db, api, 'main', 1, 1, null, 0, Infinity)
+      await indexer.start()
+      const reader = new Reader(db)
+      const server = new Server(reader, null, null)
+      await reader.start()
+      server.start()
+      await listening(server)
+      const txid = '9bb02c2f34817fec181dcf3f8f7556232d3fac9ef76660326f0583d57bf0d102'
+      try {
+        await axios.post(`http://localhost:${server.port}/tx/${txid}`)
+        throw new Error('Expected request to fail')
+      } catch (e) {
+        expect(e.response.status).to.equal(405)
+        expect(e.response.data.code).to.equal('READ_ONLY')
+      }
+      expect(indexer.database.hasTransaction(txid)).to.equal(false)
+      expect((await axios.get(`http://localhost:${server.port}/health/ready`)).data.ready).to.equal(true)
+      server.stop()
+      await reader.stop()
+      await indexer.stop()
+      removeDatabase(db)
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('throws if database is missing', async () => {
+      const reader = new Reader(tempDatabase())
+      await expect(reader.start()).to.be.rejected
+    })
+  })
+
+  // --------------------------------------------------------------------------
+  // errors
+  // --------------------------------------------------------------------------
+
+  describe('errors', () => {
+    const error = async promise => { try { await promise } catch (e) { return e.response } throw new Error('Expected request to fail') }
+
+    it('returns json for not found', async () => {
+      const indexer = new Indexer(':memory:', api, 'main', 1, 1, null, 0, Infinity)
+      const server = new Server(indexer, null, null)
+      await indexer.start()
+      server.start()
+      await listening(server)
+      const txid = '9bb02c2f34817fec181dcf3f8f7556232d3fac9ef76660326f0583d57bf0d102'
+      const response = await error(axios.get(`http://localhost:${server.port}/tx/${txid}`))
+      expect(response.status).to.equal(404)
+      expect(response.data).to.deep.equal({ code: 'NOT_FOUND', message: `Not found: ${txid}`, details: { txid } })
+      const response2 = await error(axios.get(`http://localhost:${server.port}/abc`))
+      expect(response2.status).to.equal(404)
+      expect(response2.data.code).to.equal('NOT_FOUND')
+      server.stop()
+      await indexer.stop()
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('returns 400 for invalid params', async () => {
+      const indexer = new Indexer(':memory:', api, 'main', 1, 1, null, 0, Infinity)
+      const server = new Server(indexer, null, null)
+      await indexer.start()
+      server.start()
+      await listening(server)
+      const response = await error(axios.get(`http://localhost:${server.port}/tx/abc`))
+      expect(response.status).to.equal(400)
+      expect(response.data.code).to.equal('INVALID_TXID')
+      const response2 = await error(axios.get(`http://localhost:${server.port}/jig/abc_o1`))
+      expect(response2.status).to.equal(400)
+      expect(response2.data.code).to.equal('INVALID_LOCATION')
+      const response3 = await error(axios.get(`http://localhost:${server.port}/unspent?address=abc`))
+      expect(response3.status).to.equal(400)
+      expect(response3.data).to.deep.equal({ code: 'INVALID_PARAMETER', message: 'Invalid address: abc', details: { param: 'address', value: 'abc' } })
+      const response4 = await error(axios.post(`http://localhost:${server.port}/trust`, ['abc']))
+      expect(response4.status).to.equal(400)
+      expect(response4.data.code).to.equal('INVALID_TXID')
+      server.stop()
+      await indexer.stop()
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('returns 409 if add with rawtx mismatch', async () => {
+      const indexer = new Indexer(':memory:', {}, 'main', 1, 1, null, 0, Infinity)
+      const server = new Server(indexer, null, null)
+      await indexer.start()
+      server.start()
+      await listening(server)
+      const txid = '3f9de452f0c3c96be737d42aa0941b27412211976688967adb3174ee18b04c64'
+      const otherTxid = 'bfa5180e601e92af23d80782bf625b102ac110105a392e376fe7607e4e87dc8d'
+      const options = { headers: { 'Content-Type': 'text/plain' } }
+      const response = await error(axios.post(`http://localhost:${server.port}/tx/${txid}`, txns[otherTxid], options))
+      expect(response.status).to.equal(409)
+      expect(response.data.code).to.equal('TXID_MISMATCH')
+      const response2 = await error(axios.post(`http://localhost:${server.port}/tx/${txid}`, 'abc', options))
+      expect(response2.status).to.equal(400)
+      expect(response2.data.code).to.equal('INVALID_RAWTX')
+      server.stop()
+      await indexer.stop()
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('accepts uppercase txids', async () => {
+      const indexer = new Indexer(':memory:', api, 'main', 1, 1, null, 0, Infinity)
+      const server = new Server(indexer, null, null)
+      await indexer.start()
+      server.start()
+      await listening(server)
+      const txid = '9bb02c2f34817fec181dcf3f8f7556232d3fac9ef76660326f0583d57bf0d102'
+      indexer.add(txid)
+      await downloaded(indexer, txid)
+      const rawtx = (await axios.get(`http://localhost:${server.port}/tx/${txid.toUpperCase()}`)).data
+      expect(rawtx).to.equal(txns[txid])
+      server.stop()
+      await indexer.stop()
+    })
+
+    // ------------------------------------------------------------------------
+
+    it('bans unknown transactions', async () => {
+      const indexer = new Indexer(':memory:', api, 'main', 1, 1, null, 0, Infinity)
+      const server = new Server(indexer, null, null)
+      await indexer.start()
+      server.start()
+      await listening(server)
+      const txid = '1111111111111111111111111111111111111111111111111111111111111111'
+      await axios.post(`http://localhost:${server.port}/ban/${txid}`)
+      expect(indexer.database.isBanned(txid)).to.equal(true)
       server.stop()
       await indexer.stop()
     })